@@ -21,6 +21,34 @@ DIST_DIR="$ROOT_DIR/dist"
 
 log() { echo "  → $*"; }
 
+# The extension offers an upgrade only when the installed backend reports an
+# older FRAMEWORKVERSION, so every change to the class must bump it. Fails the
+# build when the class changed (uncommitted, or in its last commit) without it.
+check_framework_version() {
+    local cls="src/Migration.Framework.cls"
+    local bump='^Parameter FRAMEWORKVERSION = '
+
+    # Outside a git checkout there is nothing to compare against
+    git -C "$ROOT_DIR" rev-parse --git-dir > /dev/null 2>&1 || return 0
+
+    if ! git -C "$ROOT_DIR" diff --quiet HEAD -- "$cls"; then
+        if ! git -C "$ROOT_DIR" diff HEAD -- "$cls" | grep -q "^+Parameter FRAMEWORKVERSION = "; then
+            echo "Error: $cls has uncommitted changes but FRAMEWORKVERSION was not bumped." >&2
+            exit 1
+        fi
+        return 0
+    fi
+
+    local last_change last_bump
+    last_change="$(git -C "$ROOT_DIR" log -1 --format=%H -- "$cls")"
+    last_bump="$(git -C "$ROOT_DIR" log -1 --format=%H -G"$bump" -- "$cls")"
+
+    if [ "$last_change" != "$last_bump" ]; then
+        echo "Error: $cls changed in $(git -C "$ROOT_DIR" log -1 --format=%h -- "$cls") without a FRAMEWORKVERSION bump." >&2
+        exit 1
+    fi
+}
+
 build_target() {
     local target="$1"  # chrome | firefox
     local out="$DIST_DIR/$target"
@@ -37,10 +65,16 @@ build_target() {
     # Top-level source files (JS, HTML, CSS, .cls)
     cp "$SRC_DIR/api.js"                      "$out/api.js"
     cp "$SRC_DIR/storage.js"                  "$out/storage.js"
+    cp "$SRC_DIR/payloadStore.js"             "$out/payloadStore.js"
+    cp "$SRC_DIR/download.js"                 "$out/download.js"
     cp "$SRC_DIR/popup.js"                    "$out/popup.js"
     cp "$SRC_DIR/report.js"                   "$out/report.js"
+    cp "$SRC_DIR/options.js"                  "$out/options.js"
+    cp "$SRC_DIR/timeline.js"                 "$out/timeline.js"
     cp "$SRC_DIR/popup.html"                  "$out/popup.html"
     cp "$SRC_DIR/report.html"                 "$out/report.html"
+    cp "$SRC_DIR/options.html"                "$out/options.html"
+    cp "$SRC_DIR/timeline.html"               "$out/timeline.html"
     cp "$SRC_DIR/privacy.html"                "$out/privacy.html"
     cp "$SRC_DIR/styles.css"                  "$out/styles.css"
     cp "$SRC_DIR/Migration.Framework.cls"     "$out/Migration.Framework.cls"
@@ -49,9 +83,23 @@ build_target() {
     cp "$SRC_DIR/platform/browser-polyfill.js" "$out/platform/browser-polyfill.js"
 
     # Core business logic
+    cp "$SRC_DIR/core/backendSetup.js"        "$out/core/backendSetup.js"
     cp "$SRC_DIR/core/bootstrap.js"           "$out/core/bootstrap.js"
+    cp "$SRC_DIR/core/checklist.js"           "$out/core/checklist.js"
     cp "$SRC_DIR/core/compare.js"             "$out/core/compare.js"
+    cp "$SRC_DIR/core/comparators.js"         "$out/core/comparators.js"
+    cp "$SRC_DIR/core/exportScope.js"         "$out/core/exportScope.js"
+    cp "$SRC_DIR/core/ignoreRules.js"         "$out/core/ignoreRules.js"
+    cp "$SRC_DIR/core/lineDiff.js"            "$out/core/lineDiff.js"
+    cp "$SRC_DIR/core/matrixCompare.js"       "$out/core/matrixCompare.js"
+    cp "$SRC_DIR/core/preflight.js"           "$out/core/preflight.js"
     cp "$SRC_DIR/core/registry.js"            "$out/core/registry.js"
+    cp "$SRC_DIR/core/remediation.js"         "$out/core/remediation.js"
+    cp "$SRC_DIR/core/reportExport.js"        "$out/core/reportExport.js"
+    cp "$SRC_DIR/core/reportFilter.js"        "$out/core/reportFilter.js"
+    cp "$SRC_DIR/core/severity.js"            "$out/core/severity.js"
+    cp "$SRC_DIR/core/snapshotFile.js"        "$out/core/snapshotFile.js"
+    cp "$SRC_DIR/core/timeline.js"            "$out/core/timeline.js"
     cp "$SRC_DIR/core/strategies/entityCompare.js" "$out/core/strategies/entityCompare.js"
     cp "$SRC_DIR/core/strategies/flatCompare.js"   "$out/core/strategies/flatCompare.js"
 
@@ -75,6 +123,8 @@ echo "============================================"
 echo "  IRIS Migration Checklist — Build"
 echo "============================================"
 
+check_framework_version
+
 case "$target" in
     chrome)
         build_target "chrome"
@@ -3,12 +3,18 @@
  * Atelier API helpers for backend bootstrapping.
  *
  * All requests use credentials: "include" (user is already authenticated).
+ * Framework routes live under the web application path chosen at setup
+ * (`appPath`, see backendSetup.js); it defaults to the historical path.
  */
 
 import { browser } from './platform/browser-polyfill.js';
+import { DEFAULT_APP_PATH, setupParameters } from './core/backendSetup.js';
 
-const EXPORT_PATH = '/api/v1/migration/framework/export';
-const ATELIER_BASE = '/api/atelier/v1/%25SYS';
+const INFO_ROUTE = '/info';
+const EXPORT_ROUTE = '/export';
+const APPLY_ROUTE = '/apply';
+const ATELIER_ROOT = '/api/atelier/v1';
+const ATELIER_BASE = `${ATELIER_ROOT}/%25SYS`;
 
 const CLASS_NAME = 'Migration.Framework';
 const CLASS_FILE = 'Migration.Framework.cls';
@@ -33,17 +39,111 @@ async function loadClassSource() {
     return text.split('\n');
 }
 
+/**
+ * Version of the backend class bundled with the extension, read from its
+ * FRAMEWORKVERSION parameter.
+ *
+ * @returns {Promise<string>}
+ * @throws {Error} If the bundled class declares no version.
+ */
+export async function bundledFrameworkVersion() {
+    const lines = await loadClassSource();
+
+    for (const line of lines) {
+        const match = /^\s*Parameter\s+FRAMEWORKVERSION\s*=\s*"([^"]*)"/i.exec(line);
+        if (match) return match[1];
+    }
+
+    throw new Error(`Class file "${CLASS_FILE}" declares no FRAMEWORKVERSION parameter.`);
+}
+
+/**
+ * URL of a framework route on a server.
+ *
+ * @param {string} baseUrl
+ * @param {string} [appPath] - Web application path; defaults to DEFAULT_APP_PATH
+ * @param {string} route
+ * @returns {string}
+ */
+function frameworkUrl(baseUrl, appPath, route) {
+    return `${baseUrl}${appPath || DEFAULT_APP_PATH}${route}`;
+}
+
 /* ================================================================== */
 /*  Export endpoint                                                     */
 /* ================================================================== */
 
 /**
- * Fetch the migration framework export JSON from a server.
+ * @typedef {object} ServerInfo
+ * @property {string}   zversion         - $ZVERSION
+ * @property {string}   product          - e.g. "IRIS", "Cache"
+ * @property {string}   version          - e.g. "2025.1.0"
+ * @property {string}   instance         - Instance name
+ * @property {string}   frameworkVersion - Version of the installed Migration.Framework
+ * @property {string}   exporter         - Implementation serving /export (e.g. "GetSnapshotGeneric")
+ * @property {string[]} sections         - Collections the server can export
+ */
+
+/**
+ * Fetch the platform and capabilities of a server from the framework's
+ * /info route.
+ *
+ * @param {string} baseUrl
+ * @param {string} [appPath] - Web application path of the framework
+ * @returns {Promise<ServerInfo|null>} null when the installed framework predates /info
+ */
+export async function fetchInfo(baseUrl, appPath) {
+    const response = await fetch(frameworkUrl(baseUrl, appPath, INFO_ROUTE), { credentials: 'include' });
+
+    if (response.status === 404) {
+        return null;
+    }
+
+    if (!response.ok) {
+        throw new Error(`Server responded with ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Fetch the migration framework export JSON from a server. Requested
+ * sections the server cannot export (see fetchInfo) are dropped.
  * @param {string} baseUrl - Origin URL (protocol + hostname + port).
+ * @param {object} [options]
+ * @param {boolean} [options.deep] - Include global data fingerprints (slower)
+ * @param {string[]} [options.sections] - Collections to export (e.g. ['users', 'roles']); all when empty
+ * @param {string[]} [options.namespaces] - Namespaces to export; all when empty
+ * @param {import('./core/exportScope.js').NamespaceFilter} [options.namespaceFilter]
+ *        Namespace globs; without it the server skips its default system namespaces
+ * @param {string} [options.appPath] - Web application path of the framework
  * @returns {Promise<object>} Parsed JSON export data.
+ * @throws {Error} When none of the requested sections is supported.
  */
-export async function fetchExport(baseUrl) {
-    const url = `${baseUrl}${EXPORT_PATH}`;
+export async function fetchExport(baseUrl, options = {}) {
+    let sections = options.sections || [];
+    if (sections.length > 0) {
+        const info = await fetchInfo(baseUrl, options.appPath);
+        if (info) {
+            sections = sections.filter(section => info.sections.includes(section));
+            if (sections.length === 0) {
+                throw new Error(`None of the selected sections is supported by ${info.product} ${info.version}.`);
+            }
+        }
+    }
+
+    const params = new URLSearchParams();
+    if (options.deep) params.set('deep', '1');
+    if (sections.length > 0) params.set('sections', sections.join(','));
+    if (options.namespaces?.length) params.set('namespaces', options.namespaces.join(','));
+    if (options.namespaceFilter) {
+        // An empty exclude list is sent too: it means "skip nothing"
+        if (options.namespaceFilter.include.length > 0) params.set('include', options.namespaceFilter.include.join(','));
+        params.set('exclude', options.namespaceFilter.exclude.join(','));
+    }
+
+    const query = params.toString();
+    const url = `${frameworkUrl(baseUrl, options.appPath, EXPORT_ROUTE)}${query ? `?${query}` : ''}`;
 
     const response = await fetch(url, { credentials: 'include' });
 
@@ -64,11 +164,12 @@ export async function fetchExport(baseUrl) {
  * Returns { ok, status } so the caller can decide what to do.
  *
  * @param {string} baseUrl
+ * @param {string} [appPath] - Web application path of the framework
  * @returns {Promise<{ ok: boolean, status: number }>}
  */
-export async function tryFetchExport(baseUrl) {
+export async function tryFetchExport(baseUrl, appPath) {
     try {
-        const response = await fetch(`${baseUrl}${EXPORT_PATH}`, {
+        const response = await fetch(frameworkUrl(baseUrl, appPath, EXPORT_ROUTE), {
             credentials: 'include'
         });
         return { ok: response.ok, status: response.status };
@@ -78,10 +179,260 @@ export async function tryFetchExport(baseUrl) {
     }
 }
 
+/* ================================================================== */
+/*  Apply endpoint                                                     */
+/* ================================================================== */
+
+/**
+ * @typedef {object} ApplyResult
+ * @property {string} itemId
+ * @property {'ready'|'blocked'|'applied'|'failed'} status - ready / blocked for a dry run
+ * @property {string} message
+ */
+
+/**
+ * Send fix items to the framework's /apply route. With `dryRun` the
+ * server only checks each item (does the entity exist, is the section
+ * supported) and reports what it would do.
+ *
+ * @param {string} baseUrl
+ * @param {import('./core/remediation.js').FixItem[]} items
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun]
+ * @param {string} [options.appPath] - Web application path of the framework
+ * @returns {Promise<ApplyResult[]>} One result per item.
+ */
+export async function applyFixes(baseUrl, items, options = {}) {
+    const body = {
+        dryRun: Boolean(options.dryRun),
+        items: items.map(({ itemId, section, id, action, properties }) =>
+            ({ itemId, section, id, action, properties }))
+    };
+
+    const response = await fetch(frameworkUrl(baseUrl, options.appPath, APPLY_ROUTE), {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+        const detail = data?.error ? `: ${data.error}` : '';
+        throw new Error(`Server responded with ${response.status} ${response.statusText}${detail}`);
+    }
+
+    if (!Array.isArray(data?.results)) {
+        throw new Error('Unexpected response from the apply endpoint.');
+    }
+
+    return data.results;
+}
+
+/* ================================================================== */
+/*  Host permissions                                                   */
+/* ================================================================== */
+
+/**
+ * Ensure the extension has host permissions for the given server origin.
+ *
+ * On Firefox MV3, host_permissions listed in the manifest are NOT
+ * automatically granted at install — the user must approve them at
+ * runtime. On Chrome MV3, host_permissions ARE auto-granted, so
+ * `permissions.contains` returns true immediately and no prompt appears.
+ *
+ * This function is safe to call on both browsers: on Chrome it is
+ * effectively a no-op.
+ *
+ * @param {string} baseUrl
+ */
+export async function ensureHostPermissions(baseUrl) {
+    const origin = new URL(baseUrl).origin;
+    const permissions = { origins: [`${origin}/*`] };
+
+    const already = await browser.permissions.contains(permissions);
+    if (already) return;
+
+    const granted = await browser.permissions.request(permissions);
+    if (!granted) {
+        throw new Error(
+            'Host permission denied. The extension needs access to the server to fetch data.'
+        );
+    }
+}
+
+/* ================================================================== */
+/*  Atelier documents (used by the report's source diff)               */
+/* ================================================================== */
+
+/**
+ * Fetch a document's source through the Atelier API.
+ *
+ * @param {string} baseUrl
+ * @param {string} namespace - Namespace holding the document
+ * @param {string} docName   - Document name with extension (e.g. "My.Class.cls", "Utils.inc")
+ * @returns {Promise<string[]>} Lines of the document.
+ */
+export async function fetchDocument(baseUrl, namespace, docName) {
+    // CSP documents are paths ("/csp/app/page.csp"): keep their slashes
+    const docPath = docName.replace(/^\/+/, '').split('/').map(encodeURIComponent).join('/');
+    const url = `${baseUrl}${ATELIER_ROOT}/${encodeURIComponent(namespace)}/doc/${docPath}`;
+
+    const response = await fetch(url, { credentials: 'include' });
+
+    if (response.status === 404) {
+        throw new Error(`"${docName}" not found in ${namespace} on ${baseUrl}.`);
+    }
+
+    if (!response.ok) {
+        throw new Error(
+            `Failed to fetch "${docName}" from ${baseUrl} (HTTP ${response.status}).`
+        );
+    }
+
+    const data = await response.json();
+    const result = data?.result;
+
+    if (!result || !Array.isArray(result.content)) {
+        throw new Error(`Unexpected response for "${docName}" from ${baseUrl}.`);
+    }
+
+    if (result.enc) {
+        throw new Error(`"${docName}" is a binary document and cannot be diffed.`);
+    }
+
+    return result.content;
+}
+
 /* ================================================================== */
 /*  Atelier API helpers (used by bootstrap.js)                         */
 /* ================================================================== */
 
+/**
+ * Run a SQL query in %SYS through the Atelier API.
+ *
+ * @param {string} baseUrl
+ * @param {string} query
+ * @param {Array<string|number>} [parameters]
+ * @returns {Promise<object[]>} Result rows.
+ * @throws {Error} On an HTTP error or an error reported by the query.
+ */
+async function runQuery(baseUrl, query, parameters = []) {
+    const url = `${baseUrl}${ATELIER_BASE}/action/query`;
+
+    const response = await fetch(url, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, parameters })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Query failed (HTTP ${response.status}).`);
+    }
+
+    const result = await response.json();
+    const error = result?.status?.errors?.[0];
+    if (error) {
+        throw new Error(`Query failed: ${error.error || error}`);
+    }
+
+    return result?.result?.content || [];
+}
+
+/**
+ * Non-throwing probe of the Atelier API root, which reports the server
+ * version and the namespaces the user may access.
+ *
+ * @param {string} baseUrl
+ * @returns {Promise<{ ok: boolean, status: number, version?: string, api?: number, namespaces?: string[] }>}
+ */
+export async function fetchAtelierServer(baseUrl) {
+    try {
+        const response = await fetch(`${baseUrl}/api/atelier/`, { credentials: 'include' });
+        if (!response.ok) {
+            return { ok: false, status: response.status };
+        }
+
+        const content = (await response.json())?.result?.content || {};
+        return {
+            ok: true,
+            status: response.status,
+            version: content.version,
+            api: content.api,
+            namespaces: content.namespaces || []
+        };
+    } catch {
+        // Network error — treat as unavailable
+        return { ok: false, status: 0 };
+    }
+}
+
+/**
+ * Read the current user's roles, the resources and granted roles of
+ * every role, and the public permissions of every resource from the %SYS
+ * security tables.
+ *
+ * @param {string} baseUrl
+ * @returns {Promise<import('./core/preflight.js').UserPrivileges|null>}
+ *          null when the user has no local account (e.g. LDAP or delegated).
+ * @throws {Error} When the security tables cannot be read.
+ */
+export async function fetchUserPrivileges(baseUrl) {
+    const users = await runQuery(baseUrl, 'SELECT Roles FROM Security.Users WHERE Name = CURRENT_USER');
+    if (users.length === 0) {
+        return null;
+    }
+
+    const roles = nameList(users[0].Roles);
+
+    const roleRows = await runQuery(baseUrl, 'SELECT Name, Resources, GrantedRoles FROM Security.Roles');
+    const roleResources = Object.fromEntries(roleRows.map(row => [row.Name, row.Resources || '']));
+    const grantedRoles = Object.fromEntries(roleRows.map(row => [row.Name, nameList(row.GrantedRoles)]));
+
+    const resourceRows = await runQuery(baseUrl,
+        'SELECT Name, %EXTERNAL(PublicPermission) AS PublicPermission FROM Security.Resources');
+    const publicResources = Object.fromEntries(resourceRows
+        .filter(row => row.PublicPermission)
+        .map(row => [row.Name, String(row.PublicPermission)]));
+
+    return { roles, roleResources, grantedRoles, publicResources };
+}
+
+/**
+ * Role names from a list column, which the query returns either as an
+ * array or as a comma-separated string.
+ */
+function nameList(stored) {
+    return (Array.isArray(stored) ? stored : String(stored || '').split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+}
+
+/**
+ * Fetch the source of the Migration.Framework class in %SYS, if any.
+ *
+ * @param {string} baseUrl
+ * @returns {Promise<string[]|null>} Lines of the class, or null when it does not exist.
+ */
+export async function fetchFrameworkClass(baseUrl) {
+    const url = `${baseUrl}${ATELIER_BASE}/doc/${CLASS_NAME}.cls`;
+
+    const response = await fetch(url, { credentials: 'include' });
+
+    if (response.status === 404) {
+        return null;
+    }
+
+    if (!response.ok) {
+        throw new Error(`Failed to read class "${CLASS_NAME}" (HTTP ${response.status}).`);
+    }
+
+    const data = await response.json();
+    return data?.result?.content || [];
+}
+
 /**
  * Fetch the existing document metadata to retrieve its timestamp.
  * The timestamp is required for the If-None-Match header when
@@ -187,27 +538,49 @@ export async function compileClass(baseUrl) {
 }
 
 /**
- * Execute the framework setup stored procedure via Atelier Query.
+ * Execute the framework setup stored procedure via Atelier Query,
+ * passing the web application options (see backendSetup.js).
  * @param {string} baseUrl
+ * @param {import('./core/backendSetup.js').BackendSetup} setup
  */
-export async function executeSetupProcedure(baseUrl) {
-    const url = `${baseUrl}${ATELIER_BASE}/action/query`;
+export async function executeSetupProcedure(baseUrl, setup) {
+    try {
+        await runQuery(baseUrl, 'CALL Migration.Framework_Setup(?, ?, ?, ?, ?)', setupParameters(setup));
+    } catch (err) {
+        throw new Error(`Setup procedure failed. ${err.message}`);
+    }
+}
 
-    const body = {
-        query: 'CALL Migration.Framework_Setup()',
-        parameters: []
-    };
+/**
+ * Execute the framework teardown stored procedure via Atelier Query,
+ * removing the web application and role created by the setup procedure
+ * (wherever it was set up: the server records its path).
+ * @param {string} baseUrl
+ */
+export async function executeTeardownProcedure(baseUrl) {
+    try {
+        await runQuery(baseUrl, 'CALL Migration.Framework_Teardown()');
+    } catch (err) {
+        throw new Error(`Teardown procedure failed. ${err.message}`);
+    }
+}
+
+/**
+ * Delete the backend class via Atelier DELETE. A class that is already
+ * gone is not an error.
+ * @param {string} baseUrl
+ */
+export async function deleteClass(baseUrl) {
+    const url = `${baseUrl}${ATELIER_BASE}/doc/${CLASS_NAME}.cls`;
 
     const response = await fetch(url, {
-        method: 'POST',
-        credentials: 'include',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
+        method: 'DELETE',
+        credentials: 'include'
     });
 
-    if (!response.ok) {
+    if (!response.ok && response.status !== 404) {
         throw new Error(
-            `Failed to execute setup procedure (HTTP ${response.status}).`
+            `Failed to delete class "${CLASS_NAME}" (HTTP ${response.status}).`
         );
     }
 }
@@ -0,0 +1,170 @@
+/**
+ * Backend setup — how Migration.Framework's Setup() registers the export
+ * API: the web application path, its authentication methods, the role it
+ * runs with, and optional client-address and expiry restrictions.
+ *
+ * By default the application matches %All, like earlier versions. With a
+ * dedicated role, Setup creates a role holding only read access to the
+ * databases, which is all the exporter needs, and matches that role
+ * instead. Setup refuses a role name that already exists unless it
+ * created that role itself, and only ever deletes roles it created.
+ *
+ * Pure functions only; the settings are stored by storage.js and passed
+ * to the setup stored procedure by api.js.
+ */
+
+/** Web application path used by every framework version before it became configurable */
+export const DEFAULT_APP_PATH = '/api/v1/migration/framework';
+
+/** Prefix every path must keep: the extension only has host permissions below it */
+export const APP_PATH_PREFIX = '/api/v1/migration/';
+
+/**
+ * Authentication methods that can be enabled on the web application,
+ * with their Security.Applications AutheEnabled bits.
+ * @type {Array<[string, string, number]>} [key, label, bit]
+ */
+export const AUTH_METHODS = [
+    ['password', 'Password', 32],
+    ['kerberos', 'Kerberos', 4],
+    ['delegated', 'Delegated', 8192],
+    ['cookie', 'Login cookie', 16384]
+];
+
+/**
+ * @typedef {object} BackendSetup
+ * @property {string}   appPath       - Web application path
+ * @property {string[]} authMethods   - Keys of AUTH_METHODS; at least one
+ * @property {boolean}  dedicatedRole - Create and match a least-privilege role instead of %All
+ * @property {string}   roleName      - Name of that role
+ * @property {string[]} allowedIps    - Client addresses allowed to call the API; empty = any
+ * @property {string}   expiresAt     - ISO date after which the API refuses calls; '' = never
+ */
+
+/** @type {BackendSetup} */
+export const DEFAULT_BACKEND_SETUP = {
+    appPath: DEFAULT_APP_PATH,
+    authMethods: ['password'],
+    dedicatedRole: false,
+    roleName: 'MigrationFramework',
+    allowedIps: [],
+    expiresAt: ''
+};
+
+/**
+ * Check a setup before it is saved or sent to the server.
+ *
+ * @param {BackendSetup} setup
+ * @returns {string[]} Problems found; empty when the setup is valid.
+ */
+export function validateBackendSetup(setup) {
+    const problems = [];
+
+    const appPath = setup.appPath || '';
+    if (!appPath.startsWith(APP_PATH_PREFIX) || !/^[\w\-./]*[\w\-]$/.test(appPath)) {
+        problems.push(`The application path must start with "${APP_PATH_PREFIX}", not end with "/" `
+            + 'and contain only letters, digits, "-", "_", "." and "/".');
+    }
+
+    if (!authEnabled(setup.authMethods)) {
+        problems.push('Enable at least one authentication method.');
+    }
+
+    if (setup.dedicatedRole && !/^[A-Za-z0-9_][\w.-]*$/.test(setup.roleName || '')) {
+        problems.push('The role name may only contain letters, digits, "_", "." and "-", '
+            + 'and cannot start with "%" (reserved for system roles).');
+    }
+
+    for (const ip of setup.allowedIps || []) {
+        if (!isIpAddress(ip)) {
+            problems.push(`"${ip}" is not an IPv4 or IPv6 address.`);
+        }
+    }
+
+    if (setup.expiresAt && Number.isNaN(Date.parse(setup.expiresAt))) {
+        problems.push('The expiry is not a valid date.');
+    }
+
+    return problems;
+}
+
+/**
+ * Whether a string is an IPv4 address in dotted-quad form (each part
+ * 0-255, without leading zeros) or an IPv6 address: eight groups of one
+ * to four hex digits, at most one "::" standing for one or more zero
+ * groups, and optionally an IPv4 address as the last two groups. The
+ * server compares client addresses as text, so nothing else can match.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isIpAddress(value) {
+    return isIpv4(value) || isIpv6(value);
+}
+
+/**
+ * Arguments of Migration.Framework_Setup, in order: path, AutheEnabled
+ * bits, role ('' keeps %All), comma-separated allowed addresses, and the
+ * expiry as a UTC "YYYY-MM-DD HH:MM:SS" string ('' = never).
+ *
+ * @param {BackendSetup} setup
+ * @returns {Array<string|number>}
+ * @throws {Error} When the setup is invalid.
+ */
+export function setupParameters(setup) {
+    const problems = validateBackendSetup(setup);
+    if (problems.length > 0) {
+        throw new Error(`Invalid backend setup: ${problems.join(' ')}`);
+    }
+
+    const expires = setup.expiresAt
+        ? new Date(setup.expiresAt).toISOString().slice(0, 19).replace('T', ' ')
+        : '';
+
+    return [
+        setup.appPath,
+        authEnabled(setup.authMethods),
+        setup.dedicatedRole ? setup.roleName : '',
+        // Servers report IPv6 client addresses in lower case
+        (setup.allowedIps || []).map(ip => ip.toLowerCase()).join(','),
+        expires
+    ];
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+function isIpv4(value) {
+    const parts = String(value).split('.');
+    return parts.length === 4
+        && parts.every(part => /^(0|[1-9]\d{0,2})$/.test(part) && Number(part) <= 255);
+}
+
+function isIpv6(value) {
+    const halves = String(value).split('::');
+    if (halves.length > 2) return false;
+
+    const groups = halves.map(half => (half === '' ? [] : half.split(':')));
+    const all = groups.flat();
+
+    // An embedded IPv4 address counts as two groups and must come last
+    let count = all.length;
+    const last = all[all.length - 1];
+    if (last !== undefined && last.includes('.')) {
+        const lastOfSecond = groups[groups.length - 1];
+        if (lastOfSecond[lastOfSecond.length - 1] !== last || !isIpv4(last)) return false;
+        all.pop();
+        count++;
+    }
+
+    if (!all.every(group => /^[0-9a-fA-F]{1,4}$/.test(group))) return false;
+
+    return halves.length === 2 ? count < 8 : count === 8;
+}
+
+function authEnabled(methods) {
+    return AUTH_METHODS
+        .filter(([key]) => (methods || []).includes(key))
+        .reduce((bits, [, , bit]) => bits | bit, 0);
+}
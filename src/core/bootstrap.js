@@ -1,9 +1,17 @@
 /**
  * Bootstrap module — ensures the migration export API is available on the
  * target server. If the endpoint does not exist, it installs the backend
- * framework class via the Atelier API, then retries.
+ * framework class via the Atelier API, then retries. If an older version
+ * of the class is installed, it offers to upgrade it through the same
+ * steps; a newer one is kept, with a warning. It also removes the backend
+ * again once a migration is done.
+ * The web application is set up as configured in the options (path,
+ * authentication, role, allowed IPs, expiry; see backendSetup.js).
+ * Before asking for consent to install, it runs the preflight checks
+ * (see preflight.js) and hands their results to the consent callback.
  *
- * Entry point: ensureExportApiAvailable(baseUrl, onStatus?)
+ * Entry points: ensureExportApiAvailable(baseUrl, onStatus?, onRequestConsent?, onRequestUpgrade?, setup?)
+ *               removeFramework(baseUrl, onStatus?, onRequestConsent?, appPath?)
  *
  * This module does NOT contain IRIS business logic or class source code
  * beyond a placeholder constant. It orchestrates the installation steps
@@ -12,10 +20,19 @@
 
 import {
     tryFetchExport,
+    fetchInfo,
+    bundledFrameworkVersion,
     uploadClass,
     compileClass,
-    executeSetupProcedure
+    executeSetupProcedure,
+    executeTeardownProcedure,
+    deleteClass,
+    fetchAtelierServer,
+    fetchUserPrivileges,
+    fetchFrameworkClass
 } from '../api.js';
+import { DEFAULT_BACKEND_SETUP } from './backendSetup.js';
+import { evaluatePreflight, preflightPassed, preflightFailureMessage } from './preflight.js';
 
 /**
  * Ensure the export endpoint is reachable on the given server.
@@ -24,40 +41,155 @@ import {
  *
  * @param {string} baseUrl - Server origin (protocol + host + port).
  * @param {(msg: string) => void} [onStatus] - Optional progress callback.
- * @param {() => Promise<boolean>} [onRequestConsent] - Optional consent callback.
+ * @param {(preflight: import('./preflight.js').PreflightResult[]) => Promise<boolean>} [onRequestConsent]
+ *        Optional consent callback, given the preflight results.
  *        Must return true to proceed with installation, false to cancel.
- * @returns {Promise<void>} Resolves when endpoint is confirmed available.
+ * @param {(installed: string|null, bundled: string) => Promise<boolean>} [onRequestUpgrade]
+ *        Optional upgrade callback, called when the installed version is older than the
+ *        bundled one (null: a version from before versioning). Return false to keep it.
+ * @param {import('./backendSetup.js').BackendSetup} [setup] - Web application options;
+ *        defaults to DEFAULT_BACKEND_SETUP.
+ * @returns {Promise<string|null>} Resolves when endpoint is confirmed available, with a
+ *          warning to show alongside the result (e.g. a backend newer than the bundled one).
  * @throws {Error} If installation or retry fails.
  */
-export async function ensureExportApiAvailable(baseUrl, onStatus, onRequestConsent) {
+export async function ensureExportApiAvailable(baseUrl, onStatus, onRequestConsent, onRequestUpgrade, setup) {
     const status = onStatus || (() => { });
     const requestConsent = onRequestConsent || (() => Promise.resolve(true));
+    const requestUpgrade = onRequestUpgrade || (() => Promise.resolve(true));
+    const backendSetup = setup || DEFAULT_BACKEND_SETUP;
 
     // --- Probe the export endpoint ---
     status('Checking export API availability…');
-    const probeResult = await tryFetchExport(baseUrl);
+    const probeResult = await tryFetchExport(baseUrl, backendSetup.appPath);
 
     if (probeResult.ok) {
-        return; // Endpoint exists — nothing to install.
+        // Endpoint exists — upgrade it if it is older than the bundled version
+        return upgradeIfOutdated(baseUrl, status, requestUpgrade, backendSetup);
     }
 
-    // --- Endpoint missing — ask for consent before installing ---
-    const userConsented = await requestConsent();
+    // --- Endpoint missing — check what the installation needs, then ask for consent ---
+    status('Running preflight checks…');
+    const preflight = await runPreflight(baseUrl);
+
+    const userConsented = await requestConsent(preflight);
+    if (!preflightPassed(preflight)) {
+        throw new Error(`Cannot install the backend. ${preflightFailureMessage(preflight)}`);
+    }
     if (!userConsented) {
         throw new Error('Installation cancelled. The export API is required to proceed.');
     }
 
     status('Installing backend framework…');
-    await installFramework(baseUrl, status);
+    await installFramework(baseUrl, status, backendSetup);
+    await verifyInstallation(baseUrl, status, backendSetup.appPath);
+    return null;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Installation orchestration                                         */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Gather the preflight probes and evaluate them. The probes behind a
+ * failed Atelier check are not run.
+ *
+ * @param {string} baseUrl
+ * @returns {Promise<import('./preflight.js').PreflightResult[]>}
+ */
+async function runPreflight(baseUrl) {
+    const atelier = await fetchAtelierServer(baseUrl);
+    if (!atelier.ok) {
+        return evaluatePreflight({ atelier });
+    }
+
+    // Probe errors are results too (e.g. security tables not readable)
+    const [privileges, frameworkClass] = await Promise.all([
+        fetchUserPrivileges(baseUrl).catch(err => err),
+        fetchFrameworkClass(baseUrl).catch(err => err)
+    ]);
+
+    return evaluatePreflight({ atelier, privileges, frameworkClass });
+}
+
+/**
+ * Compare the installed framework version (from /info) with the bundled
+ * one and reinstall on consent when it is older. Declining keeps the
+ * installed version. A newer installed version is never replaced, since
+ * that would downgrade it.
+ *
+ * @param {string} baseUrl
+ * @param {(msg: string) => void} status
+ * @param {(installed: string|null, bundled: string) => Promise<boolean>} requestUpgrade
+ * @param {import('./backendSetup.js').BackendSetup} setup
+ * @returns {Promise<string|null>} Warning about a newer installed version, or null.
+ */
+async function upgradeIfOutdated(baseUrl, status, requestUpgrade, setup) {
+    status('Checking backend framework version…');
+    const bundled = await bundledFrameworkVersion();
+
+    // Frameworks from before /info have no version
+    const info = await fetchInfo(baseUrl, setup.appPath);
+    const installed = info?.frameworkVersion || null;
+
+    const order = installed ? compareVersions(installed, bundled) : -1;
+
+    if (order === 0) {
+        return null;
+    }
+
+    if (order > 0) {
+        return `This server runs backend version ${installed}, newer than the ${bundled} bundled with the extension. `
+            + 'It was kept; update the extension so its snapshots use the same export format.';
+    }
+
+    const userConsented = await requestUpgrade(installed, bundled);
+    if (!userConsented) {
+        status(`Keeping backend framework version ${installed || 'unknown'}…`);
+        return null;
+    }
+
+    status(`Upgrading backend framework to version ${bundled}…`);
+    await installFramework(baseUrl, status, setup);
+    await verifyInstallation(baseUrl, status, setup.appPath);
+    return null;
+}
+
+/**
+ * Order two dotted version numbers (e.g. "1.10.0" after "1.9.2").
+ * Missing or non-numeric parts count as 0.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative when a is older, 0 when equal, positive when newer.
+ */
+function compareVersions(a, b) {
+    const partsA = String(a).split('.');
+    const partsB = String(b).split('.');
 
-    // --- Retry probe after installation ---
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (parseInt(partsA[i], 10) || 0) - (parseInt(partsB[i], 10) || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Probe the export endpoint after an installation or upgrade.
+ *
+ * @param {string} baseUrl
+ * @param {(msg: string) => void} status
+ * @param {string} appPath - Web application path the framework was set up at
+ * @throws {Error} With a link to the web application config when it is unavailable.
+ */
+async function verifyInstallation(baseUrl, status, appPath) {
     status('Verifying export API after installation…');
-    const retryResult = await tryFetchExport(baseUrl);
+    const retryResult = await tryFetchExport(baseUrl, appPath);
 
     if (!retryResult.ok) {
         const webAppUrl =
             `${baseUrl}/csp/sys/sec/%25CSP.UI.Portal.Applications.Web.zen` +
-            `?PID=%2Fapi%2Fv1%2Fmigration%2Fframework`;
+            `?PID=${encodeURIComponent(appPath)}`;
 
         const err = new Error(
             `Export API still unavailable after installation (HTTP ${retryResult.status}). ` +
@@ -68,10 +200,6 @@ export async function ensureExportApiAvailable(baseUrl, onStatus, onRequestConse
     }
 }
 
-/* ------------------------------------------------------------------ */
-/*  Installation orchestration                                         */
-/* ------------------------------------------------------------------ */
-
 /**
  * Install the migration framework on the target server.
  * Steps:
@@ -81,8 +209,9 @@ export async function ensureExportApiAvailable(baseUrl, onStatus, onRequestConse
  *
  * @param {string} baseUrl
  * @param {(msg: string) => void} status
+ * @param {import('./backendSetup.js').BackendSetup} setup
  */
-async function installFramework(baseUrl, status) {
+async function installFramework(baseUrl, status, setup) {
     status('Step 1/3 — Uploading backend class…');
     await uploadClass(baseUrl);
 
@@ -90,7 +219,56 @@ async function installFramework(baseUrl, status) {
     await compileClass(baseUrl);
 
     status('Step 3/3 — Executing setup procedure…');
-    await executeSetupProcedure(baseUrl);
+    await executeSetupProcedure(baseUrl, setup);
 
     status('Backend framework installation complete.');
 }
+
+/* ------------------------------------------------------------------ */
+/*  Removal orchestration                                              */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Remove the migration framework from the target server.
+ * Steps:
+ *   1. Execute the teardown stored procedure (deletes the web application and role)
+ *   2. Delete the backend class via Atelier
+ *   3. Probe the export endpoint to confirm it is gone
+ *
+ * @param {string} baseUrl - Server origin (protocol + host + port).
+ * @param {(msg: string) => void} [onStatus] - Optional progress callback.
+ * @param {() => Promise<boolean>} [onRequestConsent] - Optional consent callback.
+ *        Must return true to proceed with the removal, false to cancel.
+ * @param {string} [appPath] - Web application path the framework was set up at
+ * @returns {Promise<boolean>} false when the user cancelled.
+ * @throws {Error} If a step fails or the endpoint still answers afterwards.
+ */
+export async function removeFramework(baseUrl, onStatus, onRequestConsent, appPath) {
+    const status = onStatus || (() => { });
+    const requestConsent = onRequestConsent || (() => Promise.resolve(true));
+    const path = appPath || DEFAULT_BACKEND_SETUP.appPath;
+
+    const userConsented = await requestConsent();
+    if (!userConsented) {
+        return false;
+    }
+
+    status('Step 1/3 — Removing web application…');
+    await executeTeardownProcedure(baseUrl);
+
+    status('Step 2/3 — Deleting backend class…');
+    await deleteClass(baseUrl);
+
+    status('Step 3/3 — Verifying the export API is gone…');
+    const probeResult = await tryFetchExport(baseUrl, path);
+
+    if (probeResult.ok) {
+        throw new Error(
+            'The export API still answers after removal. ' +
+            `Check the web application ${path} in the Management Portal.`
+        );
+    }
+
+    status('Backend framework removed.');
+    return true;
+}
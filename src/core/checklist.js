@@ -0,0 +1,118 @@
+/**
+ * Migration checklist — the user's triage of each difference in a report
+ * ("to do", "accepted", "fixed", "won't fix"), with a note and an assignee.
+ *
+ * States are stored per baseline/target server pair and keyed by
+ * section + parent + entity id + property, so they are re-applied when
+ * the same difference shows up in a later report of the same pair.
+ *
+ * Pure functions only; storage lives in storage.js.
+ */
+
+import { collectDifferenceRows } from './reportExport.js';
+
+/**
+ * @typedef {'todo'|'accepted'|'fixed'|'wontfix'} ChecklistStatus
+ */
+
+/**
+ * @typedef {object} ChecklistState
+ * @property {ChecklistStatus} status
+ * @property {string} note
+ * @property {string} assignee
+ * @property {string} [updatedAt] - ISO date of the last change
+ */
+
+/**
+ * @typedef {object} ChecklistEntry
+ * @property {string} key - Item key (see checklistItemKey)
+ * @property {import('./reportExport.js').DifferenceRow} row
+ */
+
+/**
+ * Statuses in display order, with their labels.
+ * @type {Array<[ChecklistStatus, string]>}
+ */
+export const CHECKLIST_STATUSES = [
+    ['todo', 'To do'],
+    ['accepted', 'Accepted / expected'],
+    ['fixed', 'Fixed'],
+    ['wontfix', "Won't fix"]
+];
+
+/**
+ * State of a difference nobody has triaged yet.
+ * @type {ChecklistState}
+ */
+export const DEFAULT_CHECKLIST_STATE = { status: 'todo', note: '', assignee: '' };
+
+/**
+ * Key of the baseline/target pair a report compares.
+ *
+ * @param {object} report - Two-way report with header metadata
+ * @returns {string}
+ */
+export function checklistPairKey(report) {
+    return `${report.savedServer || ''}\u0000${report.currentServer || ''}`;
+}
+
+/**
+ * Key of one difference within a pair.
+ *
+ * @param {{ sectionKey: string, parent?: string, entity: string, property?: string }} row
+ * @returns {string}
+ */
+export function checklistItemKey(row) {
+    return [row.sectionKey, row.parent || '', row.entity, row.property || ''].join('\u0000');
+}
+
+/**
+ * Every difference of a report that can be triaged: missing and extra
+ * items, and changed properties. Context properties are not differences
+ * and are left out.
+ *
+ * @param {object} report
+ * @returns {ChecklistEntry[]}
+ */
+export function checklistEntries(report) {
+    return collectDifferenceRows(report)
+        .filter(row => row.kind !== 'context')
+        .map(row => ({ key: checklistItemKey(row), row }));
+}
+
+/**
+ * Whether a state carries anything worth storing.
+ *
+ * @param {ChecklistState} state
+ * @returns {boolean}
+ */
+export function isDefaultState(state) {
+    return state.status === DEFAULT_CHECKLIST_STATE.status && !state.note && !state.assignee;
+}
+
+/**
+ * Completion of a report's checklist. Every status but 'todo' counts
+ * as resolved.
+ *
+ * @param {ChecklistEntry[]} entries
+ * @param {Object<string, ChecklistState>} states - Stored states of the pair
+ * @returns {{ total: number, resolved: number, percent: number, byStatus: Object<ChecklistStatus, number> }}
+ */
+export function checklistProgress(entries, states) {
+    const byStatus = Object.fromEntries(CHECKLIST_STATUSES.map(([status]) => [status, 0]));
+
+    for (const entry of entries) {
+        const status = states[entry.key]?.status || DEFAULT_CHECKLIST_STATE.status;
+        byStatus[status] = (byStatus[status] || 0) + 1;
+    }
+
+    const total = entries.length;
+    const resolved = total - byStatus.todo;
+
+    return {
+        total,
+        resolved,
+        percent: total === 0 ? 100 : Math.round((resolved / total) * 100),
+        byStatus
+    };
+}
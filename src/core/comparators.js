@@ -0,0 +1,163 @@
+/**
+ * Property comparators — semantic equality for values the server exports
+ * in more than one spelling (comma-separated lists in any order, booleans
+ * as 1 / "1" / true, names differing only in case, …).
+ *
+ * The registry declares a comparator per property; a declaration is one
+ * of the built-in names below, an array of names (applied in order), a
+ * relative numeric tolerance read from the user settings, or a custom
+ * `(saved, current) => boolean` function.
+ *
+ *   comparators: {
+ *       roles:   'tokenSet',
+ *       enabled: 'boolean',
+ *       name:    ['trimmed', 'caseInsensitive'],
+ *       size:    { tolerance: 'globalSize' },   // ± settings.tolerances.globalSize %
+ *       custom:  (a, b) => …
+ *   }
+ */
+
+/**
+ * @typedef {'strict'|'tokenSet'|'caseInsensitive'|'boolean'|'numeric'|'trimmed'} ComparatorName
+ * @typedef {(saved: *, current: *) => boolean} ComparatorFn
+ * @typedef {{ tolerance: string }} ToleranceSpec
+ * @typedef {ComparatorName|ComparatorName[]|ToleranceSpec|ComparatorFn} ComparatorSpec
+ */
+
+/**
+ * @typedef {object} ComparatorSettings
+ * @property {Object<string, number>} [tolerances] - Percentages by tolerance name
+ */
+
+/**
+ * Built-in normalizers. Two values are equal under a comparator when
+ * their normalized forms are equal. Values a normalizer does not
+ * understand are returned unchanged, so comparison falls back to strict.
+ */
+const normalizers = {
+    strict: value => value,
+
+    // "b, a,a" → "a,b"; arrays are treated the same way
+    tokenSet: value => {
+        const tokens = Array.isArray(value)
+            ? value.map(String)
+            : typeof value === 'string' ? value.split(',') : null;
+        if (!tokens) return value;
+        return [...new Set(tokens.map(t => t.trim()).filter(Boolean))].sort().join(',');
+    },
+
+    caseInsensitive: value => (typeof value === 'string' ? value.toLowerCase() : value),
+
+    // 1 / "1" / true / "true" → true, 0 / "0" / false / "false" / "" → false
+    boolean: value => {
+        if (value === true || value === 1) return true;
+        if (value === false || value === 0) return false;
+        if (typeof value === 'string') {
+            const text = value.trim().toLowerCase();
+            if (text === '1' || text === 'true') return true;
+            if (text === '0' || text === 'false' || text === '') return false;
+        }
+        return value;
+    },
+
+    // "007" / " 7" / 7 → 7
+    numeric: value => {
+        if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+            return Number(value);
+        }
+        return value;
+    },
+
+    trimmed: value => (typeof value === 'string' ? value.trim() : value)
+};
+
+/**
+ * Resolve the registry's comparator declarations into functions.
+ *
+ * @param {Object<string, ComparatorSpec>} [specs]
+ * @param {ComparatorSettings} [settings]
+ * @returns {Object<string, ComparatorFn>}
+ * @throws {Error} On an unknown comparator name.
+ */
+export function resolveComparators(specs = {}, settings = {}) {
+    const resolved = {};
+    for (const [property, spec] of Object.entries(specs)) {
+        resolved[property] = createComparator(spec, property, settings);
+    }
+    return resolved;
+}
+
+/**
+ * Build a single comparator function from a declaration.
+ *
+ * @param {ComparatorSpec} spec
+ * @param {string} [property] - Used in error messages only
+ * @param {ComparatorSettings} [settings]
+ * @returns {ComparatorFn}
+ */
+export function createComparator(spec, property = '', settings = {}) {
+    if (typeof spec === 'function') {
+        return spec;
+    }
+
+    if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+        return withinTolerance(settings.tolerances?.[spec.tolerance] ?? 0);
+    }
+
+    const names = Array.isArray(spec) ? spec : [spec];
+    const chain = names.map(name => {
+        const normalize = normalizers[name];
+        if (!normalize) {
+            throw new Error(`Unknown comparator "${name}" for property "${property}".`);
+        }
+        return normalize;
+    });
+
+    const normalize = value => chain.reduce((acc, fn) => fn(acc), value);
+
+    return (saved, current) => canonicalize(normalize(saved)) === canonicalize(normalize(current));
+}
+
+/**
+ * Produce a deterministic canonical JSON string for any value: object
+ * keys are sorted, and so are array items, so arrays compare as
+ * multisets. Shared with the comparison strategies.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalize(value) {
+    if (value === null || typeof value !== 'object') {
+        return JSON.stringify(value);
+    }
+
+    if (Array.isArray(value)) {
+        const items = value.map(canonicalize).sort();
+        return '[' + items.join(',') + ']';
+    }
+
+    const keys = Object.keys(value).sort();
+    const pairs = keys.map(k => JSON.stringify(k) + ':' + canonicalize(value[k]));
+    return '{' + pairs.join(',') + '}';
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Numbers are equal when they differ by at most `percent` % of the
+ * larger one. Non-numeric values compare strictly.
+ */
+function withinTolerance(percent) {
+    return (saved, current) => {
+        const a = normalizers.numeric(saved);
+        const b = normalizers.numeric(current);
+
+        if (typeof a !== 'number' || typeof b !== 'number') {
+            return canonicalize(saved) === canonicalize(current);
+        }
+
+        return Math.abs(a - b) <= Math.max(Math.abs(a), Math.abs(b)) * percent / 100;
+    };
+}
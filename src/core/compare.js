@@ -6,39 +6,143 @@
  *
  * Output is a sectioned report: one section per entity type, each with
  * its own summary and structured diff data.
+ *
+ * Differences matching a user ignore rule are moved to each section's
+ * `ignored` group and do not count toward `totalDifferences`.
+ *
+ * The remaining differences are tagged with a severity (see severity.js);
+ * sections and the report carry per-level counts and the report an
+ * overall risk score.
+ *
+ * Snapshots exported with a limited scope (see exportScope.js) are only
+ * compared on the collections and namespaces both of them cover; the
+ * rest is left out of the report instead of showing up as missing.
+ * Sections one of the servers cannot export at all are kept as "not
+ * supported" placeholders (`unsupportedBy`), without differences.
+ * Namespaces either server skipped are listed per side in
+ * `skippedNamespaces`.
+ *
+ * The report records which framework version produced each snapshot, so
+ * differences caused by a changed export shape can be told apart.
  */
 
-import { registry } from './registry.js';
+import { registry, sectionItems } from './registry.js';
 import { entityCompare } from './strategies/entityCompare.js';
 import { flatCompare } from './strategies/flatCompare.js';
+import { resolveComparators } from './comparators.js';
+import {
+    applyIgnoreRulesToEntities,
+    applyIgnoreRulesToFlat,
+    countIgnored
+} from './ignoreRules.js';
+import {
+    classifySection,
+    emptySeverityCounts,
+    addSeverityCounts,
+    highestSeverity,
+    riskScore
+} from './severity.js';
+import {
+    sectionInScope,
+    sectionSupported,
+    namespaceInScope,
+    commonScope,
+    skippedNamespaces
+} from './exportScope.js';
+
+/**
+ * @typedef {object} CompareOptions
+ * @property {import('./ignoreRules.js').IgnoreRule[]} [ignoreRules]
+ * @property {Object<string, number>} [tolerances] - Percentages for tolerance comparators
+ */
 
 /**
  * Compare two snapshots and produce a structured, sectioned report.
  *
  * @param {object} saved   - Previously saved snapshot.
  * @param {object} current - Freshly fetched snapshot.
- * @returns {{ timestamp: string, totalDifferences: number, sections: Array }}
+ * @param {CompareOptions} [options]
+ * @returns {{ timestamp: string, totalDifferences: number, totalIgnored: number,
+ *             severityCounts: object, severity: string|null, riskScore: number,
+ *             scope: { sections: string[]|null, namespaces: string[]|null },
+ *             skippedNamespaces: { saved: object[], current: object[] },
+ *             frameworkVersions: { saved: string|null, current: string|null }, sections: Array }}
  */
-export function compare(saved, current) {
+export function compare(saved, current, options = {}) {
     const sections = [];
     let totalDifferences = 0;
+    let totalIgnored = 0;
+    const severityCounts = emptySeverityCounts();
+
+    const snapshots = { saved, current };
 
     for (const config of registry) {
-        const savedArr = saved[config.key] || [];
-        const currentArr = current[config.key] || [];
+        if (!sectionInScope(saved, config) || !sectionInScope(current, config)) continue;
+
+        const unsupportedBy = unsupportedSides(config, snapshots);
+        if (unsupportedBy.length > 0) {
+            sections.push(buildUnsupportedSection(config, unsupportedBy));
+            continue;
+        }
+
+        const savedArr = scopeNamespaces(config, sectionItems(config, saved, registry) || [], snapshots);
+        const currentArr = scopeNamespaces(config, sectionItems(config, current, registry) || [], snapshots);
 
-        const section = compareSection(config, savedArr, currentArr);
+        const section = compareSection(config, savedArr, currentArr, options, snapshots);
         totalDifferences += section.totalDifferences;
+        totalIgnored += section.totalIgnored;
+        addSeverityCounts(severityCounts, section.severityCounts);
         sections.push(section);
     }
 
     return {
         timestamp: new Date().toISOString(),
         totalDifferences,
+        totalIgnored,
+        severityCounts,
+        severity: highestSeverity(severityCounts),
+        riskScore: riskScore(severityCounts),
+        scope: commonScope(saved, current),
+        skippedNamespaces: {
+            saved: skippedNamespaces(saved),
+            current: skippedNamespaces(current)
+        },
+        frameworkVersions: {
+            saved: frameworkVersionOf(saved),
+            current: frameworkVersionOf(current)
+        },
         sections
     };
 }
 
+/**
+ * Version of the backend framework that produced a snapshot.
+ *
+ * @param {object} snapshot
+ * @returns {string|null} null for snapshots from before framework versions
+ */
+export function frameworkVersionOf(snapshot) {
+    return snapshot?.meta?.server?.frameworkVersion || null;
+}
+
+/**
+ * Flatten a report's sections depth-first, so child sections (e.g. the
+ * classes of a namespace) follow their parent section.
+ *
+ * @param {object[]} sections - `report.sections`
+ * @returns {object[]} Every section, each child carrying its `parentId`.
+ */
+export function flattenSections(sections) {
+    const flat = [];
+    for (const section of sections) {
+        flat.push(section);
+        if (section.childSections) {
+            flat.push(...flattenSections(section.childSections));
+        }
+    }
+    return flat;
+}
+
 /* ------------------------------------------------------------------ */
 /*  Section-level comparison                                           */
 /* ------------------------------------------------------------------ */
@@ -49,20 +153,34 @@ export function compare(saved, current) {
  * @param {import('./registry.js').EntityConfig} config
  * @param {object[]} savedArr
  * @param {object[]} currentArr
+ * @param {CompareOptions} options
+ * @param {{ saved: object, current: object }} snapshots - Whole snapshots, for their export scope
  * @returns {object} Section result
  */
-function compareSection(config, savedArr, currentArr) {
+function compareSection(config, savedArr, currentArr, options, snapshots) {
     if (config.strategy === 'flat') {
-        return buildFlatSection(config, savedArr, currentArr);
+        return buildFlatSection(config, savedArr, currentArr, options);
     }
 
     // --- Entity (id-based) strategy ---
-    const result = entityCompare(savedArr, currentArr, config.idField, getChildKeys(config));
+    const result = entityCompare(
+        savedArr,
+        currentArr,
+        config.idField,
+        getChildKeys(config),
+        {
+            comparators: resolveComparators(config.comparators, { tolerances: options.tolerances }),
+            collections: config.collections,
+            optional: config.optional,
+            context: config.context
+        }
+    );
+    const ignored = applyIgnoreRulesToEntities(config.key, result, options.ignoreRules);
 
     // If the entity has children (e.g. namespaces), diff those too
     let childSections = null;
     if (config.children && config.children.length > 0) {
-        childSections = compareChildren(config, result, savedArr, currentArr);
+        childSections = compareChildren(config, result, savedArr, currentArr, options, snapshots);
     }
 
     const sectionDiffs = result.summary.missing
@@ -70,7 +188,10 @@ function compareSection(config, savedArr, currentArr) {
         + result.summary.changed
         + (childSections ? childSections.totalChildDifferences : 0);
 
-    return {
+    const sectionIgnored = countIgnored(ignored)
+        + (childSections ? childSections.totalChildIgnored : 0);
+
+    const section = {
         key: config.key,
         label: config.label,
         strategy: 'entity',
@@ -78,9 +199,21 @@ function compareSection(config, savedArr, currentArr) {
         missing: result.missing,
         extra: result.extra,
         matched: result.matched,
+        ignored,
         childSections: childSections ? childSections.sections : null,
-        totalDifferences: sectionDiffs
+        totalDifferences: sectionDiffs,
+        totalIgnored: sectionIgnored
     };
+
+    // Severity counts include the child sections, like totalDifferences
+    const severityCounts = classifySection(config, section);
+    for (const child of section.childSections || []) {
+        addSeverityCounts(severityCounts, child.severityCounts);
+    }
+    section.severityCounts = severityCounts;
+    section.severity = highestSeverity(severityCounts);
+
+    return section;
 }
 
 /* ------------------------------------------------------------------ */
@@ -95,13 +228,16 @@ function compareSection(config, savedArr, currentArr) {
  * @param {object} parentResult - entityCompare result for the parent
  * @param {object[]} savedArr
  * @param {object[]} currentArr
- * @returns {{ sections: object[], totalChildDifferences: number }}
+ * @param {CompareOptions} options
+ * @param {{ saved: object, current: object }} snapshots
+ * @returns {{ sections: object[], totalChildDifferences: number, totalChildIgnored: number }}
  */
-function compareChildren(parentConfig, parentResult, savedArr, currentArr) {
+function compareChildren(parentConfig, parentResult, savedArr, currentArr, options, snapshots) {
     const savedIndex = indexBy(savedArr, parentConfig.idField);
     const currentIndex = indexBy(currentArr, parentConfig.idField);
     const sections = [];
     let totalChildDifferences = 0;
+    let totalChildIgnored = 0;
 
     // Only diff children for parents that exist in both snapshots
     for (const match of parentResult.matched) {
@@ -110,19 +246,34 @@ function compareChildren(parentConfig, parentResult, savedArr, currentArr) {
         const currentParent = currentIndex.get(parentId) || {};
 
         for (const childConfig of parentConfig.children) {
-            const savedChildArr = savedParent[childConfig.key] || [];
-            const currentChildArr = currentParent[childConfig.key] || [];
+            // Collections outside either export scope are not reported
+            if (!sectionInScope(snapshots.saved, childConfig) || !sectionInScope(snapshots.current, childConfig)) {
+                continue;
+            }
+
+            const unsupportedBy = unsupportedSides(childConfig, snapshots);
+            if (unsupportedBy.length > 0) {
+                const childSection = buildUnsupportedSection(childConfig, unsupportedBy);
+                childSection.parentId = parentId;
+                childSection.parentLabel = parentConfig.label;
+                sections.push(childSection);
+                continue;
+            }
 
-            const childSection = compareSection(childConfig, savedChildArr, currentChildArr);
+            const savedChildArr = sectionItems(childConfig, savedParent, parentConfig.children) || [];
+            const currentChildArr = sectionItems(childConfig, currentParent, parentConfig.children) || [];
+
+            const childSection = compareSection(childConfig, savedChildArr, currentChildArr, options, snapshots);
             childSection.parentId = parentId;
             childSection.parentLabel = parentConfig.label;
 
             totalChildDifferences += childSection.totalDifferences;
+            totalChildIgnored += childSection.totalIgnored;
             sections.push(childSection);
         }
     }
 
-    return { sections, totalChildDifferences };
+    return { sections, totalChildDifferences, totalChildIgnored };
 }
 
 /* ------------------------------------------------------------------ */
@@ -132,25 +283,86 @@ function compareChildren(parentConfig, parentResult, savedArr, currentArr) {
 /**
  * Build a section result for flat (non-id) comparison.
  */
-function buildFlatSection(config, savedArr, currentArr) {
+function buildFlatSection(config, savedArr, currentArr, options) {
     const result = flatCompare(savedArr, currentArr);
+    const ignored = applyIgnoreRulesToFlat(config.key, result, options.ignoreRules);
     const sectionDiffs = result.summary.missing + result.summary.extra;
 
-    return {
+    const section = {
         key: config.key,
         label: config.label,
         strategy: 'flat',
         summary: result.summary,
         missing: result.missing,
         extra: result.extra,
-        totalDifferences: sectionDiffs
+        ignored,
+        totalDifferences: sectionDiffs,
+        totalIgnored: countIgnored(ignored)
+    };
+
+    section.severityCounts = classifySection(config, section);
+    section.severity = highestSeverity(section.severityCounts);
+
+    return section;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Unsupported section builder                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Placeholder for a section one or both servers cannot export: shaped
+ * like an in-sync section so every consumer can walk it, but with no
+ * differences and `unsupportedBy` listing the sides ('saved', 'current').
+ */
+function buildUnsupportedSection(config, unsupportedBy) {
+    const section = {
+        key: config.key,
+        label: config.label,
+        strategy: config.strategy,
+        unsupportedBy,
+        summary: { missing: 0, extra: 0 },
+        missing: [],
+        extra: [],
+        ignored: null,
+        totalDifferences: 0,
+        totalIgnored: 0,
+        severityCounts: emptySeverityCounts(),
+        severity: null
     };
+
+    if (config.strategy !== 'flat') {
+        section.summary = { missing: 0, extra: 0, changed: 0, inSync: 0 };
+        section.matched = [];
+        section.childSections = null;
+    }
+
+    return section;
+}
+
+/**
+ * Sides ('saved', 'current') whose server cannot export a section.
+ */
+function unsupportedSides(config, snapshots) {
+    return ['saved', 'current'].filter(side => !sectionSupported(snapshots[side], config));
 }
 
 /* ------------------------------------------------------------------ */
 /*  Helpers                                                            */
 /* ------------------------------------------------------------------ */
 
+/**
+ * Keep only the parents (namespaces) both snapshots exported. Other
+ * sections are returned unchanged.
+ */
+function scopeNamespaces(config, items, snapshots) {
+    if (!config.children) return items;
+
+    const idField = config.idField || 'id';
+    return items.filter(item => namespaceInScope(snapshots.saved, item?.[idField])
+        && namespaceInScope(snapshots.current, item?.[idField]));
+}
+
 /**
  * Index an array by a field, returning a Map<string, object>.
  */
@@ -174,5 +386,5 @@ function getChildKeys(config) {
     if (!config.children || config.children.length === 0) {
         return new Set();
     }
-    return new Set(config.children.map(c => c.key));
+    return new Set(config.children.map(c => c.source || c.key));
 }
@@ -0,0 +1,221 @@
+/**
+ * Export scope — which collections and namespaces a snapshot covers.
+ *
+ * Two things limit it: what the user asked for, and what the server can
+ * provide. The framework's /info route (also recorded in the snapshot's
+ * `meta.server`) lists the supported sections; an old Caché instance, or
+ * one without interoperability, cannot export every collection.
+ *
+ * The framework's /export route can be limited with
+ * `?sections=users,roles&namespaces=APP1,APP2`; it records the scope in
+ * the snapshot's `meta.sections` / `meta.namespaces` (absent = everything).
+ * compare() only reports on what is in the scope of both snapshots, so
+ * a section that was not exported is never shown as "everything missing".
+ *
+ * Unsupported sections are reported as such by compare() rather than as
+ * differences.
+ *
+ * Independently of the scope, the namespace filter from the settings
+ * (`?include=APP*&exclude=%SYS,HS*`, globs) decides which namespaces the
+ * server walks at all. The server records the namespaces it skipped, and
+ * why, in `meta.skippedNamespaces`; a namespace one side filtered out is
+ * not compared.
+ *
+ * Section names are export collection names: registry keys, or the
+ * shared `source` collection (e.g. 'documents') of the entries reading it.
+ */
+
+import { registry } from './registry.js';
+
+/**
+ * @typedef {object} ExportScope
+ * @property {string[]} [sections]   - Collections to export; empty or absent = all
+ * @property {string[]} [namespaces] - Namespaces to export; empty or absent = all
+ */
+
+/**
+ * @typedef {object} NamespaceFilter
+ * @property {string[]} include - Globs a namespace must match; empty = every namespace
+ * @property {string[]} exclude - Globs of namespaces to skip; wins over include
+ */
+
+/**
+ * @typedef {object} SkippedNamespace
+ * @property {string} id
+ * @property {'excluded'|'notIncluded'|'unavailable'} reason
+ * @property {string} [pattern] - Exclude glob that matched
+ */
+
+/**
+ * System and sample namespaces skipped by default, as before the filter
+ * was configurable.
+ * @type {string[]}
+ */
+export const DEFAULT_NAMESPACE_EXCLUDES = [
+    '%SYS', '%ALL', 'HSCUSTOM', 'HSLIB', 'HSSYS', 'HSLOCALTEMP', 'ENSLIB', 'USER', 'ENSDEMO', 'ENSEMBLE'
+];
+
+/**
+ * @typedef {object} ExportSection
+ * @property {string} name  - Collection name sent to the server
+ * @property {string} label
+ * @property {'server'|'namespace'} level
+ */
+
+/**
+ * Every collection that can be selected for export, server-wide ones
+ * first. Entries sharing a source collection are listed once.
+ *
+ * @returns {ExportSection[]}
+ */
+export function exportSections() {
+    const sections = [];
+
+    for (const config of registry) {
+        if (!config.children) {
+            sections.push({ name: config.key, label: config.label, level: 'server' });
+            continue;
+        }
+
+        const labels = new Map();
+        for (const child of config.children) {
+            const name = child.source || child.key;
+            if (!labels.has(name)) labels.set(name, []);
+            labels.get(name).push(child.label);
+        }
+
+        for (const [name, childLabels] of labels) {
+            const label = childLabels.length === 1
+                ? childLabels[0]
+                : `${name.charAt(0).toUpperCase()}${name.slice(1)} (${childLabels.length} types)`;
+            sections.push({ name, label, level: 'namespace' });
+        }
+    }
+
+    return sections;
+}
+
+/**
+ * Split a comma- or whitespace-separated list, dropping blanks and
+ * duplicates.
+ *
+ * @param {string|string[]} [value]
+ * @returns {string[]}
+ */
+export function parseScopeList(value) {
+    const parts = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    return [...new Set(parts.map(part => String(part).trim()).filter(Boolean))];
+}
+
+/**
+ * Whether a collection was exported into a snapshot.
+ *
+ * @param {object} snapshot
+ * @param {import('./registry.js').EntityConfig} config
+ * @returns {boolean}
+ */
+export function sectionInScope(snapshot, config) {
+    const sections = snapshot?.meta?.sections;
+    if (!Array.isArray(sections) || sections.length === 0) return true;
+
+    // A parent (namespaces) is exported whenever one of its children is
+    if (config.children) {
+        return config.children.some(child => sectionInScope(snapshot, child));
+    }
+    return sections.includes(config.source || config.key);
+}
+
+/**
+ * Whether the server a snapshot was taken from can export a collection.
+ * Snapshots from frameworks without /info support everything.
+ *
+ * @param {object} snapshot
+ * @param {import('./registry.js').EntityConfig} config
+ * @returns {boolean}
+ */
+export function sectionSupported(snapshot, config) {
+    const supported = snapshot?.meta?.server?.sections;
+    if (!Array.isArray(supported)) return true;
+
+    if (config.children) {
+        return config.children.some(child => sectionSupported(snapshot, child));
+    }
+    return supported.includes(config.source || config.key);
+}
+
+/**
+ * Whether a namespace was exported into a snapshot: within its scope and
+ * not filtered out. Namespace names are case-insensitive.
+ *
+ * @param {object} snapshot
+ * @param {string} namespace
+ * @returns {boolean}
+ */
+export function namespaceInScope(snapshot, namespace) {
+    const upper = String(namespace).toUpperCase();
+
+    // Unavailable namespaces were meant to be exported: they still show up as missing
+    const filtered = skippedNamespaces(snapshot)
+        .some(entry => entry.reason !== 'unavailable' && String(entry.id).toUpperCase() === upper);
+    if (filtered) return false;
+
+    const namespaces = snapshot?.meta?.namespaces;
+    if (!Array.isArray(namespaces) || namespaces.length === 0) return true;
+    return namespaces.some(name => String(name).toUpperCase() === upper);
+}
+
+/**
+ * Namespaces the server skipped while exporting a snapshot, with the
+ * reason. Snapshots from before the namespace filter have none recorded.
+ *
+ * @param {object} snapshot
+ * @returns {SkippedNamespace[]}
+ */
+export function skippedNamespaces(snapshot) {
+    const skipped = snapshot?.meta?.skippedNamespaces;
+    return Array.isArray(skipped) ? skipped : [];
+}
+
+/**
+ * Why a namespace was skipped, for display.
+ *
+ * @param {SkippedNamespace} entry
+ * @returns {string}
+ */
+export function skipReasonText(entry) {
+    switch (entry.reason) {
+        case 'excluded':
+            return `excluded by "${entry.pattern}"`;
+        case 'notIncluded':
+            return 'not matched by any include pattern';
+        case 'unavailable':
+            return 'could not be opened';
+        default:
+            return String(entry.reason);
+    }
+}
+
+/**
+ * Scope shared by two snapshots, for the report header: the collections
+ * and namespaces both cover, or null where both are complete.
+ *
+ * @param {object} saved
+ * @param {object} current
+ * @returns {{ sections: string[]|null, namespaces: string[]|null }}
+ */
+export function commonScope(saved, current) {
+    const common = (a, b, same) => {
+        const hasA = Array.isArray(a) && a.length > 0;
+        const hasB = Array.isArray(b) && b.length > 0;
+        if (!hasA && !hasB) return null;
+        if (!hasA) return [...b];
+        if (!hasB) return [...a];
+        return a.filter(item => b.some(other => same(item, other)));
+    };
+
+    return {
+        sections: common(saved?.meta?.sections, current?.meta?.sections, (a, b) => a === b),
+        namespaces: common(saved?.meta?.namespaces, current?.meta?.namespaces,
+            (a, b) => String(a).toUpperCase() === String(b).toUpperCase())
+    };
+}
@@ -0,0 +1,190 @@
+/**
+ * Ignore rules — user-defined filters for known, accepted differences
+ * (e.g. a web app description that embeds an upload time, per-server
+ * SSL configs, expected extra users).
+ *
+ * Matched differences are not dropped: they are moved to the section's
+ * `ignored` group and excluded from the difference counts, so the report
+ * can still show them in a collapsed block.
+ */
+
+/**
+ * @typedef {object} IgnoreRule
+ * @property {string} section  - Registry key (e.g. 'webApplications', 'classes') or '*'
+ * @property {string} entity   - Glob over entity ids ('*' and '?' wildcards).
+ *                               Flat sections have no ids: only '*' matches them.
+ * @property {string} [property] - Glob over property names; empty matches the
+ *                                 whole entity (presence and every property)
+ * @property {'any'|'missing'|'extra'|'changed'} [kind] - Diff kind to match (default 'any')
+ * @property {string} [note]   - Why the difference is expected
+ */
+
+/**
+ * @typedef {object} IgnoredGroup
+ * @property {{ id: string, entity: object }[]|object[]} missing
+ * @property {{ id: string, entity: object }[]|object[]} extra
+ * @property {{ id: string, property: string, saved: *, current: * }[]} differences
+ */
+
+/**
+ * Build an empty ignored group.
+ * @returns {IgnoredGroup}
+ */
+export function emptyIgnoredGroup() {
+    return { missing: [], extra: [], differences: [] };
+}
+
+/**
+ * Count the items in an ignored group.
+ * @param {IgnoredGroup} ignored
+ * @returns {number}
+ */
+export function countIgnored(ignored) {
+    return ignored.missing.length + ignored.extra.length + ignored.differences.length;
+}
+
+/**
+ * Move every difference of an entityCompare result that matches a rule
+ * into an ignored group, and recompute the summary counts.
+ * Mutates `result`.
+ *
+ * @param {string} sectionKey
+ * @param {import('./strategies/entityCompare.js').EntityDiffResult} result
+ * @param {IgnoreRule[]} rules
+ * @returns {IgnoredGroup}
+ */
+export function applyIgnoreRulesToEntities(sectionKey, result, rules) {
+    const ignored = emptyIgnoredGroup();
+    const active = rulesForSection(sectionKey, rules);
+
+    if (active.length === 0) {
+        return ignored;
+    }
+
+    result.missing = partition(result.missing, ignored.missing,
+        item => active.some(rule => matchesPresence(rule, item.id, 'missing')));
+
+    result.extra = partition(result.extra, ignored.extra,
+        item => active.some(rule => matchesPresence(rule, item.id, 'extra')));
+
+    for (const match of result.matched) {
+        match.differences = match.differences.filter(diff => {
+            if (diff.context) return true;
+
+            const isIgnored = active.some(rule => matchesProperty(rule, match.id, diff.property));
+            if (isIgnored) {
+                ignored.differences.push({ id: match.id, ...diff });
+            }
+            return !isIgnored;
+        });
+
+        // Context properties only accompany real differences
+        if (match.differences.every(diff => diff.context)) {
+            match.differences = [];
+        }
+    }
+
+    const changed = result.matched.filter(m => m.differences.length > 0).length;
+    result.summary = {
+        missing: result.missing.length,
+        extra: result.extra.length,
+        changed,
+        inSync: result.matched.length - changed
+    };
+
+    return ignored;
+}
+
+/**
+ * Same as applyIgnoreRulesToEntities for flat (id-less) results.
+ * Mutates `result`.
+ *
+ * @param {string} sectionKey
+ * @param {import('./strategies/flatCompare.js').FlatDiffResult} result
+ * @param {IgnoreRule[]} rules
+ * @returns {IgnoredGroup}
+ */
+export function applyIgnoreRulesToFlat(sectionKey, result, rules) {
+    const ignored = emptyIgnoredGroup();
+    const active = rulesForSection(sectionKey, rules);
+
+    if (active.length === 0) {
+        return ignored;
+    }
+
+    result.missing = partition(result.missing, ignored.missing,
+        () => active.some(rule => matchesPresence(rule, '', 'missing')));
+
+    result.extra = partition(result.extra, ignored.extra,
+        () => active.some(rule => matchesPresence(rule, '', 'extra')));
+
+    result.summary = {
+        missing: result.missing.length,
+        extra: result.extra.length
+    };
+
+    return ignored;
+}
+
+/**
+ * Convert a glob ('*' any run, '?' any single character) to an anchored,
+ * case-sensitive RegExp.
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+    const source = String(glob)
+        .split('')
+        .map(ch => {
+            if (ch === '*') return '.*';
+            if (ch === '?') return '.';
+            return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+function rulesForSection(sectionKey, rules) {
+    return (rules || []).filter(rule => rule.section === '*' || rule.section === sectionKey);
+}
+
+/**
+ * A missing / extra entity is ignored only by entity-wide rules
+ * (no property given).
+ */
+function matchesPresence(rule, entityId, kind) {
+    if (rule.property) return false;
+    if (!matchesKind(rule, kind)) return false;
+    return globToRegExp(rule.entity || '*').test(entityId);
+}
+
+function matchesProperty(rule, entityId, property) {
+    if (!matchesKind(rule, 'changed')) return false;
+    if (!globToRegExp(rule.entity || '*').test(entityId)) return false;
+    return !rule.property || globToRegExp(rule.property).test(property);
+}
+
+function matchesKind(rule, kind) {
+    return !rule.kind || rule.kind === 'any' || rule.kind === kind;
+}
+
+/**
+ * Split `items`: those matching `predicate` are appended to `sink`,
+ * the rest are returned.
+ */
+function partition(items, sink, predicate) {
+    const kept = [];
+    for (const item of items) {
+        if (predicate(item)) {
+            sink.push(item);
+        } else {
+            kept.push(item);
+        }
+    }
+    return kept;
+}
@@ -0,0 +1,305 @@
+/**
+ * Line diff — Myers' O(ND) difference algorithm over arrays of lines,
+ * grouped into unified-diff hunks. Used to show how the source of a
+ * changed class or routine differs between the two servers.
+ *
+ * Pure functions only; no browser APIs.
+ *
+ * @module lineDiff
+ */
+
+/**
+ * @typedef {object} DiffLine
+ * @property {'equal'|'delete'|'insert'} type
+ * @property {string} text
+ * @property {number|null} oldNo - 1-based line number in the old text
+ * @property {number|null} newNo - 1-based line number in the new text
+ */
+
+/**
+ * @typedef {object} Hunk
+ * @property {number} oldStart
+ * @property {number} oldLines
+ * @property {number} newStart
+ * @property {number} newLines
+ * @property {DiffLine[]} lines
+ */
+
+/**
+ * Diff two arrays of lines.
+ *
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @returns {DiffLine[]} Every line of both inputs, in order.
+ */
+export function diffLines(oldLines, newLines) {
+    // Common prefix / suffix are trimmed first: cheap, and keeps the
+    // Myers search small for the usual "few edits in a big file" case.
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length
+        && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix
+        && oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const a = oldLines.slice(prefix, oldLines.length - suffix);
+    const b = newLines.slice(prefix, newLines.length - suffix);
+
+    const result = [];
+    for (let i = 0; i < prefix; i++) {
+        result.push({ type: 'equal', text: oldLines[i], oldNo: i + 1, newNo: i + 1 });
+    }
+
+    for (const op of myers(a, b)) {
+        result.push({
+            type: op.type,
+            text: op.text,
+            oldNo: op.oldIndex === null ? null : op.oldIndex + prefix + 1,
+            newNo: op.newIndex === null ? null : op.newIndex + prefix + 1
+        });
+    }
+
+    for (let i = suffix; i > 0; i--) {
+        const oldIndex = oldLines.length - i;
+        const newIndex = newLines.length - i;
+        result.push({ type: 'equal', text: oldLines[oldIndex], oldNo: oldIndex + 1, newNo: newIndex + 1 });
+    }
+
+    return result;
+}
+
+/**
+ * Group a line diff into hunks with `context` unchanged lines around
+ * each run of changes. Returns [] when the inputs are identical.
+ *
+ * @param {DiffLine[]} lines - Output of diffLines
+ * @param {number} [context]
+ * @returns {Hunk[]}
+ */
+export function toHunks(lines, context = 3) {
+    const changed = [];
+    lines.forEach((line, index) => {
+        if (line.type !== 'equal') changed.push(index);
+    });
+
+    if (changed.length === 0) {
+        return [];
+    }
+
+    // Merge change indexes whose context windows touch or overlap
+    const ranges = [];
+    for (const index of changed) {
+        const start = Math.max(0, index - context);
+        const end = Math.min(lines.length - 1, index + context);
+        const last = ranges[ranges.length - 1];
+
+        if (last && start <= last.end + 1) {
+            last.end = Math.max(last.end, end);
+        } else {
+            ranges.push({ start, end });
+        }
+    }
+
+    return ranges.map(({ start, end }) => {
+        const hunkLines = lines.slice(start, end + 1);
+        const oldCount = hunkLines.filter(l => l.type !== 'insert').length;
+        const newCount = hunkLines.filter(l => l.type !== 'delete').length;
+
+        return {
+            oldStart: firstLineNo(lines, start, 'oldNo', oldCount),
+            oldLines: oldCount,
+            newStart: firstLineNo(lines, start, 'newNo', newCount),
+            newLines: newCount,
+            lines: hunkLines
+        };
+    });
+}
+
+/**
+ * Format hunks as a unified diff (the `diff -u` / `git diff` format).
+ *
+ * @param {Hunk[]} hunks
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {string}
+ */
+export function formatUnified(hunks, oldName, newName) {
+    const out = [`--- ${oldName}`, `+++ ${newName}`];
+
+    for (const hunk of hunks) {
+        out.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+        for (const line of hunk.lines) {
+            const marker = line.type === 'insert' ? '+' : line.type === 'delete' ? '-' : ' ';
+            out.push(marker + line.text);
+        }
+    }
+
+    return out.join('\n');
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Myers' shortest edit script in linear space: find the middle of the
+ * path (see bisect), then diff the two halves on each side of it. Only
+ * two V arrays of the current range are kept, so memory stays
+ * O(N + M) however different the inputs are.
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {{ type: string, text: string, oldIndex: number|null, newIndex: number|null }[]}
+ */
+function myers(a, b) {
+    const ops = [];
+    diffRange(a, 0, a.length, b, 0, b.length, ops);
+    return ops;
+}
+
+/**
+ * Append the operations turning a[aStart, aEnd) into b[bStart, bEnd).
+ */
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, ops) {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        ops.push({ type: 'equal', text: a[aStart], oldIndex: aStart, newIndex: bStart });
+        aStart++;
+        bStart++;
+    }
+
+    let suffix = 0;
+    while (aEnd - suffix > aStart && bEnd - suffix > bStart
+        && a[aEnd - 1 - suffix] === b[bEnd - 1 - suffix]) {
+        suffix++;
+    }
+    aEnd -= suffix;
+    bEnd -= suffix;
+
+    const split = aStart < aEnd && bStart < bEnd
+        ? bisect(a, aStart, aEnd, b, bStart, bEnd)
+        : null;
+
+    if (split) {
+        diffRange(a, aStart, split.x, b, bStart, split.y, ops);
+        diffRange(a, split.x, aEnd, b, split.y, bEnd, ops);
+    } else {
+        for (let x = aStart; x < aEnd; x++) {
+            ops.push({ type: 'delete', text: a[x], oldIndex: x, newIndex: null });
+        }
+        for (let y = bStart; y < bEnd; y++) {
+            ops.push({ type: 'insert', text: b[y], oldIndex: null, newIndex: y });
+        }
+    }
+
+    for (let i = 0; i < suffix; i++) {
+        ops.push({ type: 'equal', text: a[aEnd + i], oldIndex: aEnd + i, newIndex: bEnd + i });
+    }
+}
+
+/**
+ * Run the greedy search forwards from the start and backwards from the
+ * end of a range at the same time; where the two paths meet is a point
+ * on a shortest edit script. Both ends of the range must differ.
+ *
+ * @returns {{ x: number, y: number }|null} Absolute split point, or
+ *          null when the ranges share no line.
+ */
+function bisect(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const maxD = Math.ceil((n + m) / 2);
+    const offset = maxD;
+    const length = 2 * maxD;
+    const forward = new Int32Array(length + 2).fill(-1);
+    const backward = new Int32Array(length + 2).fill(-1);
+    forward[offset + 1] = 0;
+    backward[offset + 1] = 0;
+
+    // With an odd delta the forward path is the one that reaches the overlap
+    const delta = n - m;
+    const front = delta % 2 !== 0;
+
+    // Diagonals that ran off the edges of the grid are not explored again
+    let k1Start = 0;
+    let k1End = 0;
+    let k2Start = 0;
+    let k2End = 0;
+
+    for (let d = 0; d < maxD; d++) {
+        for (let k1 = -d + k1Start; k1 <= d - k1End; k1 += 2) {
+            const k1Offset = offset + k1;
+            let x1 = (k1 === -d || (k1 !== d && forward[k1Offset - 1] < forward[k1Offset + 1]))
+                ? forward[k1Offset + 1]
+                : forward[k1Offset - 1] + 1;
+            let y1 = x1 - k1;
+
+            while (x1 < n && y1 < m && a[aStart + x1] === b[bStart + y1]) {
+                x1++;
+                y1++;
+            }
+            forward[k1Offset] = x1;
+
+            if (x1 > n) {
+                k1End += 2;
+            } else if (y1 > m) {
+                k1Start += 2;
+            } else if (front) {
+                const k2Offset = offset + delta - k1;
+                if (k2Offset >= 0 && k2Offset < length && backward[k2Offset] !== -1
+                    && x1 >= n - backward[k2Offset]) {
+                    return { x: aStart + x1, y: bStart + y1 };
+                }
+            }
+        }
+
+        for (let k2 = -d + k2Start; k2 <= d - k2End; k2 += 2) {
+            const k2Offset = offset + k2;
+            let x2 = (k2 === -d || (k2 !== d && backward[k2Offset - 1] < backward[k2Offset + 1]))
+                ? backward[k2Offset + 1]
+                : backward[k2Offset - 1] + 1;
+            let y2 = x2 - k2;
+
+            while (x2 < n && y2 < m && a[aEnd - 1 - x2] === b[bEnd - 1 - y2]) {
+                x2++;
+                y2++;
+            }
+            backward[k2Offset] = x2;
+
+            if (x2 > n) {
+                k2End += 2;
+            } else if (y2 > m) {
+                k2Start += 2;
+            } else if (!front) {
+                const k1Offset = offset + delta - k2;
+                if (k1Offset >= 0 && k1Offset < length && forward[k1Offset] !== -1) {
+                    const x1 = forward[k1Offset];
+                    if (x1 >= n - x2) {
+                        return { x: aStart + x1, y: bStart + x1 - (k1Offset - offset) };
+                    }
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Starting line number of a hunk side. An empty side reports the line
+ * before it, as `diff -u` does.
+ */
+function firstLineNo(lines, start, field, count) {
+    for (let i = start; i < lines.length; i++) {
+        if (lines[i][field] !== null) {
+            return count === 0 ? lines[i][field] - 1 : lines[i][field];
+        }
+    }
+
+    // Side is exhausted: count lines that exist on it before `start`
+    return lines.slice(0, start).filter(l => l[field] !== null).length;
+}
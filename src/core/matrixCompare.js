@@ -0,0 +1,279 @@
+/**
+ * N-way comparison — compares one baseline snapshot with several others
+ * (e.g. dev, QA and prod) and merges the pairwise reports into a matrix:
+ * one row per differing entity, one column per snapshot.
+ *
+ * Every column is diffed against the baseline with compare(), so
+ * comparators, ignore rules and tolerances behave exactly as in a
+ * two-way report.
+ */
+
+import { compare, flattenSections, frameworkVersionOf } from './compare.js';
+import { registry, sectionItems, findConfig } from './registry.js';
+
+/**
+ * Cell statuses. The baseline column is 'present' or 'absent'; every
+ * other column is relative to the baseline:
+ *
+ *   same        - equal to the baseline (or absent from both)
+ *   changed     - present in both, with property differences
+ *   missing     - in the baseline, not in this snapshot
+ *   extra       - in this snapshot, not in the baseline
+ *   ignored     - differs only by ignored differences
+ *   unavailable - the parent entity (e.g. namespace) is missing here, or the
+ *                 section is outside this snapshot's export scope or not
+ *                 supported by its server
+ *
+ * @typedef {'present'|'absent'|'same'|'changed'|'missing'|'extra'|'ignored'|'unavailable'} CellStatus
+ */
+
+/**
+ * @typedef {object} MatrixCell
+ * @property {CellStatus} status
+ * @property {'missing'|'extra'|'changed'} [kind] - What was ignored, for 'ignored'
+ * @property {import('./strategies/entityCompare.js').PropertyDiff[]} [differences] - For 'changed'
+ */
+
+/**
+ * @typedef {object} MatrixRow
+ * @property {string} id
+ * @property {MatrixCell[]} cells - One per column, baseline first
+ * @property {(object|null)[]} [values] - Entity per column, for drill-down (entity sections only)
+ */
+
+/**
+ * @typedef {object} MatrixSection
+ * @property {string} key
+ * @property {string} label
+ * @property {'entity'|'flat'} strategy
+ * @property {string} [parentId]
+ * @property {MatrixRow[]} rows - Only rows that differ in at least one column
+ * @property {number} inSync  - Baseline entities equal in every column
+ * @property {number} totalDifferences - Changed / missing / extra cells
+ * @property {number} totalIgnored     - Ignored cells
+ */
+
+/**
+ * @typedef {object} MatrixColumn
+ * @property {string|null} name
+ * @property {string} serverUrl
+ * @property {string} timestamp
+ * @property {object} snapshot
+ */
+
+/**
+ * Compare a baseline with several snapshots.
+ *
+ * @param {MatrixColumn[]} columns - Baseline first, then the snapshots to compare
+ * @param {import('./compare.js').CompareOptions} [options]
+ * @returns {{ mode: 'matrix', timestamp: string, columns: object[], sections: MatrixSection[],
+ *             totalDifferences: number, totalIgnored: number }}
+ * @throws {Error} With fewer than two columns.
+ */
+export function compareMatrix(columns, options = {}) {
+    if (columns.length < 2) {
+        throw new Error('A matrix comparison needs a baseline and at least one other snapshot.');
+    }
+
+    const [baseline, ...others] = columns;
+
+    // Pairwise sections, keyed by parent + section key
+    const grouped = new Map();
+    others.forEach((column, index) => {
+        const report = compare(baseline.snapshot, column.snapshot, options);
+
+        for (const section of flattenSections(report.sections)) {
+            const id = `${section.parentId || ''}\u0000${section.key}`;
+            if (!grouped.has(id)) {
+                grouped.set(id, {
+                    key: section.key,
+                    label: section.label,
+                    strategy: section.strategy,
+                    parentId: section.parentId,
+                    pairs: new Array(others.length).fill(null)
+                });
+            }
+            // Sections a server cannot export are shown as unavailable in its column
+            grouped.get(id).pairs[index] = section.unsupportedBy ? null : section;
+        }
+    });
+
+    const sections = [...grouped.values()].map(group => buildMatrixSection(group, columns));
+
+    return {
+        mode: 'matrix',
+        timestamp: new Date().toISOString(),
+        columns: columns.map(({ name, serverUrl, timestamp, snapshot }) =>
+            ({ name, serverUrl, timestamp, frameworkVersion: frameworkVersionOf(snapshot) })),
+        sections,
+        totalDifferences: sections.reduce((sum, s) => sum + s.totalDifferences, 0),
+        totalIgnored: sections.reduce((sum, s) => sum + s.totalIgnored, 0)
+    };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Section merge                                                      */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Merge the pairwise results of one section into matrix rows.
+ */
+function buildMatrixSection(group, columns) {
+    const { pairs, strategy } = group;
+    const rows = new Map();
+
+    const cellsOf = id => {
+        if (!rows.has(id)) rows.set(id, new Array(columns.length).fill(null));
+        return rows.get(id);
+    };
+
+    const rowId = item => (strategy === 'entity' ? item.id : describeFlatItem(item));
+
+    pairs.forEach((section, index) => {
+        if (!section) return;
+        const column = index + 1;
+
+        for (const item of section.missing) {
+            cellsOf(rowId(item))[column] = { status: 'missing' };
+        }
+
+        for (const item of section.extra) {
+            cellsOf(rowId(item))[column] = { status: 'extra' };
+        }
+
+        for (const match of section.matched || []) {
+            if (match.differences.length > 0) {
+                cellsOf(match.id)[column] = { status: 'changed', differences: match.differences };
+            }
+        }
+
+        const ignored = section.ignored;
+        if (ignored) {
+            const ignoredIds = [
+                ...ignored.missing.map(item => [rowId(item), 'missing']),
+                ...ignored.extra.map(item => [rowId(item), 'extra']),
+                ...ignored.differences.map(diff => [diff.id, 'changed'])
+            ];
+            for (const [id, kind] of ignoredIds) {
+                const cells = cellsOf(id);
+                if (!cells[column]) cells[column] = { status: 'ignored', kind };
+            }
+        }
+    });
+
+    // Baseline presence: a 'missing' cell means the baseline has the item,
+    // an 'extra' one means it does not; otherwise it was matched (present).
+    const result = [];
+    for (const [id, cells] of rows) {
+        const kinds = cells.map(cell => cell?.kind || cell?.status);
+        const inBaseline = !kinds.includes('extra') || kinds.includes('missing');
+
+        cells[0] = { status: inBaseline ? 'present' : 'absent' };
+        for (let column = 1; column < cells.length; column++) {
+            if (cells[column]) continue;
+            cells[column] = pairs[column - 1]
+                ? { status: inBaseline ? 'same' : 'absent' }
+                : { status: 'unavailable' };
+        }
+
+        result.push({ id, cells });
+    }
+
+    result.sort((a, b) => String(a.id).localeCompare(String(b.id)));
+
+    if (strategy === 'entity') {
+        attachValues(group, columns, result);
+    }
+
+    // Nothing is in sync when no column could be compared at all
+    const baselineCount = strategy === 'entity' && pairs.some(Boolean)
+        ? locateItems(columns[0].snapshot, group.key, group.parentId).length
+        : 0;
+    const differingInBaseline = result.filter(row => row.cells[0].status === 'present').length;
+
+    let totalDifferences = 0;
+    let totalIgnored = 0;
+    for (const row of result) {
+        for (const cell of row.cells.slice(1)) {
+            if (cell.status === 'ignored') totalIgnored++;
+            else if (['changed', 'missing', 'extra'].includes(cell.status)) totalDifferences++;
+        }
+    }
+
+    return {
+        key: group.key,
+        label: group.label,
+        strategy,
+        parentId: group.parentId,
+        rows: result,
+        inSync: Math.max(0, baselineCount - differingInBaseline),
+        totalDifferences,
+        totalIgnored
+    };
+}
+
+/**
+ * Add each column's entity to the rows, so the report can show the
+ * property values per server. Child collections (e.g. the classes of
+ * a namespace) are left out — they have their own sections.
+ */
+function attachValues(group, columns, rows) {
+    const config = findConfig(group.key);
+    const idField = config?.idField || 'id';
+    const childKeys = new Set((config?.children || []).map(c => c.source || c.key));
+
+    const indexes = columns.map(column => {
+        const map = new Map();
+        for (const item of locateItems(column.snapshot, group.key, group.parentId)) {
+            map.set(String(item[idField]), item);
+        }
+        return map;
+    });
+
+    for (const row of rows) {
+        row.values = indexes.map(index => {
+            const entity = index.get(String(row.id));
+            if (!entity) return null;
+
+            const copy = {};
+            for (const [key, value] of Object.entries(entity)) {
+                if (!childKeys.has(key)) copy[key] = value;
+            }
+            return copy;
+        });
+    }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Helpers                                                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Items of a (possibly nested) section in a snapshot.
+ */
+function locateItems(snapshot, key, parentId) {
+    for (const config of registry) {
+        if (!parentId) {
+            if (config.key === key) return sectionItems(config, snapshot, registry) || [];
+            continue;
+        }
+
+        const child = (config.children || []).find(c => c.key === key);
+        if (!child) continue;
+
+        const idField = config.idField || 'id';
+        const parent = (snapshot[config.key] || []).find(item => String(item[idField]) === parentId);
+        return parent ? sectionItems(child, parent, config.children) || [] : [];
+    }
+    return [];
+}
+
+/**
+ * Flat items have no id: describe them by their properties.
+ */
+function describeFlatItem(item) {
+    return Object.keys(item)
+        .sort()
+        .map(key => `${key}=${typeof item[key] === 'object' ? JSON.stringify(item[key]) : item[key]}`)
+        .join(', ');
+}
@@ -0,0 +1,283 @@
+/**
+ * Preflight — checks run before the backend is installed, so a missing
+ * privilege shows up as an actionable checklist item instead of a bare
+ * HTTP 403 from the upload or compile step.
+ *
+ * Checks, in order:
+ *   1. The Atelier API answers (and which server version it reports)
+ *   2. The user can access the %SYS namespace
+ *   3. The user's roles grant what the installation needs
+ *   4. No foreign Migration.Framework class would be overwritten
+ *
+ * Pure functions only; bootstrap.js gathers the probes through api.js.
+ */
+
+/**
+ * @typedef {'passed'|'warning'|'failed'|'skipped'} PreflightStatus
+ */
+
+/**
+ * @typedef {object} PreflightResult
+ * @property {string} key
+ * @property {string} label
+ * @property {PreflightStatus} status
+ * @property {string} message - What was found, and what to do about a failure
+ */
+
+/**
+ * @typedef {object} PreflightProbes
+ * @property {{ ok: boolean, status: number, version?: string, api?: number, namespaces?: string[] }} atelier
+ *           Atelier root response (see api.js fetchAtelierServer)
+ * @property {UserPrivileges|null|Error} [privileges]
+ *           The user's privileges; null when the user has no local account (e.g. delegated
+ *           or LDAP), an Error when they could not be read
+ * @property {string[]|null|Error} [frameworkClass]
+ *           Source of the Migration.Framework class in %SYS; null when there is none
+ */
+
+/**
+ * @typedef {object} UserPrivileges
+ * @property {string[]} roles                          - Roles assigned to the user
+ * @property {Object<string, string>} roleResources    - Role name → "resource:permission,…"
+ * @property {Object<string, string[]>} [grantedRoles] - Role name → roles it grants in turn
+ * @property {Object<string, string>} [publicResources] - Resource name → permission granted to everyone
+ */
+
+/**
+ * Checks in display order, with their labels.
+ * @type {Array<[string, string]>}
+ */
+export const PREFLIGHT_CHECKS = [
+    ['atelier', 'Atelier API reachable'],
+    ['namespace', '%SYS namespace accessible'],
+    ['privileges', 'Privileges to install the backend'],
+    ['class', 'No conflicting Migration.Framework class']
+];
+
+/**
+ * Resources the installation needs. Caché names its system database
+ * resource %DB_CACHESYS.
+ * @type {Array<{ resources: string[], permission: string, purpose: string }>}
+ */
+export const REQUIRED_PRIVILEGES = [
+    { resources: ['%DB_IRISSYS', '%DB_CACHESYS'], permission: 'W', purpose: 'write the class to %SYS' },
+    { resources: ['%Development'], permission: 'U', purpose: 'upload and compile classes' },
+    { resources: ['%Admin_Secure'], permission: 'U', purpose: 'create the web application and role' }
+];
+
+/**
+ * Evaluate the gathered probes into one result per check. Checks that
+ * depend on a failed one are skipped.
+ *
+ * @param {PreflightProbes} probes
+ * @returns {PreflightResult[]}
+ */
+export function evaluatePreflight(probes) {
+    const atelier = checkAtelier(probes.atelier);
+    const namespace = atelier.status === 'passed'
+        ? checkNamespace(probes.atelier)
+        : skipped('Needs the Atelier API.');
+    const reachable = namespace.status === 'passed';
+
+    const results = {
+        atelier,
+        namespace,
+        privileges: reachable ? checkPrivileges(probes.privileges) : skipped('Needs access to %SYS.'),
+        class: reachable ? checkClass(probes.frameworkClass) : skipped('Needs access to %SYS.')
+    };
+
+    return PREFLIGHT_CHECKS.map(([key, label]) => ({ key, label, ...results[key] }));
+}
+
+/**
+ * Whether the installation may proceed: warnings do not block it.
+ *
+ * @param {PreflightResult[]} results
+ * @returns {boolean}
+ */
+export function preflightPassed(results) {
+    return results.every(result => result.status === 'passed' || result.status === 'warning');
+}
+
+/**
+ * One-line summary of the failed checks, for an error message.
+ *
+ * @param {PreflightResult[]} results
+ * @returns {string}
+ */
+export function preflightFailureMessage(results) {
+    return results
+        .filter(result => result.status === 'failed')
+        .map(result => `${result.label}: ${result.message}`)
+        .join(' ');
+}
+
+/**
+ * Every role a user holds: their own roles plus the roles those grant,
+ * recursively.
+ *
+ * @param {string[]} roles - Roles assigned to the user
+ * @param {Object<string, string[]>} [grantedRoles] - Role name → roles it grants
+ * @returns {string[]}
+ */
+export function resolveRoles(roles, grantedRoles = {}) {
+    const resolved = new Set();
+    const pending = [...roles];
+
+    while (pending.length > 0) {
+        const role = pending.pop();
+        if (resolved.has(role)) continue;
+
+        resolved.add(role);
+        pending.push(...(grantedRoles[role] || []));
+    }
+    return [...resolved];
+}
+
+/**
+ * Resources a user holds through their roles (nested ones included) and
+ * the public permissions, merged into one permission string per resource
+ * (e.g. { '%DB_IRISSYS': 'RW' }). %All grants everything and is returned
+ * as `{ '%All': 'RWU' }`.
+ *
+ * @param {UserPrivileges} privileges
+ * @returns {Object<string, string>}
+ */
+export function effectiveResources(privileges) {
+    const roles = resolveRoles(privileges.roles, privileges.grantedRoles);
+    if (roles.includes('%All')) return { '%All': 'RWU' };
+
+    const resources = {};
+    const grant = (resource, permission) => {
+        resources[resource] = [...new Set(`${resources[resource] || ''}${permission}`.toUpperCase())].join('');
+    };
+
+    for (const [resource, permission] of Object.entries(privileges.publicResources || {})) {
+        grant(resource, permission);
+    }
+
+    for (const role of roles) {
+        for (const entry of String(privileges.roleResources[role] || '').split(',')) {
+            const [resource, permission = ''] = entry.trim().split(':');
+            if (resource) grant(resource, permission);
+        }
+    }
+    return resources;
+}
+
+/**
+ * Required privileges a set of resources does not grant.
+ *
+ * @param {Object<string, string>} resources - See effectiveResources
+ * @returns {Array<{ resources: string[], permission: string, purpose: string }>}
+ */
+export function missingPrivileges(resources) {
+    if (resources['%All']) return [];
+
+    return REQUIRED_PRIVILEGES.filter(required =>
+        !required.resources.some(name => (resources[name] || '').includes(required.permission)));
+}
+
+/**
+ * Whether a class source is this extension's backend (any version): a
+ * REST dispatcher serving the export route.
+ *
+ * @param {string[]} lines
+ * @returns {boolean}
+ */
+export function isFrameworkClass(lines) {
+    const source = lines.join('\n');
+    return /Class\s+Migration\.Framework\s+Extends\s+%CSP\.REST/i.test(source)
+        && /<Route\s+Url="\/export"/i.test(source);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Individual checks                                                  */
+/* ------------------------------------------------------------------ */
+
+function checkAtelier(atelier) {
+    if (atelier.ok) {
+        const api = atelier.api ? ` (Atelier API v${atelier.api})` : '';
+        return passed(`${atelier.version || 'Unknown server version'}${api}`);
+    }
+
+    switch (atelier.status) {
+        case 0:
+            return failed('The server did not answer. Check that the tab is on the server\'s web port.');
+        case 401:
+            return failed('Not logged in. Log in to the Management Portal in this browser, then try again.');
+        case 403:
+            return failed('Your user may not use the Atelier API. It needs the %Development resource.');
+        case 404:
+            return failed('The /api/atelier web application is missing or disabled. Enable it under '
+                + 'System Administration › Security › Applications › Web Applications.');
+        default:
+            return failed(`The Atelier API responded with HTTP ${atelier.status}.`);
+    }
+}
+
+function checkNamespace(atelier) {
+    const namespaces = (atelier.namespaces || []).map(name => String(name).toUpperCase());
+    if (namespaces.includes('%SYS')) {
+        return passed('The class is installed in %SYS.');
+    }
+    return failed('Your user cannot access %SYS. Grant it read and write access to the system database '
+        + '(%DB_IRISSYS), or use an account with the %All role.');
+}
+
+function checkPrivileges(privileges) {
+    if (privileges instanceof Error) {
+        return failed('Your roles could not be read from %SYS, so the web application cannot be created either. '
+            + 'Use an account with %Admin_Secure (or the %All role).');
+    }
+
+    if (!privileges) {
+        return warning('Your account is not defined locally (e.g. LDAP or delegated), so its roles could not be '
+            + 'checked. The installation may still fail with HTTP 403.');
+    }
+
+    const resources = effectiveResources(privileges);
+    const missing = missingPrivileges(resources);
+    if (missing.length === 0) {
+        return passed(resources['%All'] ? 'You have the %All role.' : 'Every required resource is granted.');
+    }
+
+    // Roles the /api/atelier application adds on login are not in the security
+    // tables, so a shortfall found here may not be real: it does not block
+    const details = missing.map(required => `${required.resources[0]}:${required.permission} (${required.purpose})`);
+    return warning(`Your roles do not seem to grant ${details.join(', ')}. The installation may fail with HTTP 403: `
+        + 'if it does, ask an administrator to grant them, or use an account with the %All role.');
+}
+
+function checkClass(frameworkClass) {
+    if (frameworkClass instanceof Error) {
+        return warning(`Could not check for an existing class: ${frameworkClass.message}`);
+    }
+
+    if (!frameworkClass) {
+        return passed('Not installed yet.');
+    }
+
+    if (isFrameworkClass(frameworkClass)) {
+        return passed('An earlier installation is present and will be replaced.');
+    }
+
+    return failed('%SYS already has a Migration.Framework class that is not this extension\'s backend. '
+        + 'Installing would overwrite it: rename or remove it first.');
+}
+
+function passed(message) {
+    return { status: 'passed', message };
+}
+
+function warning(message) {
+    return { status: 'warning', message };
+}
+
+function failed(message) {
+    return { status: 'failed', message };
+}
+
+function skipped(message) {
+    return { status: 'skipped', message };
+}
@@ -7,6 +7,16 @@
  *   - label:     human-readable display name
  *   - strategy:  'entity' (id-based two-phase) | 'flat' (multiset)
  *   - idField:   which property identifies unique items ('id' by default)
+ *   - comparators: per-property semantic equality (see comparators.js)
+ *   - collections: array-valued properties diffed item by item
+ *   - optional:  properties compared only when both snapshots have them
+ *   - context:   properties listed alongside differences, never diffed alone
+ *   - sourceDiff: entity ids are Atelier document names whose source the
+ *                report can fetch and diff line by line
+ *   - source:    read items from this shared collection instead of `key`,
+ *                keeping those whose `type` is in `documentTypes`
+ *   - severity:  how much a missing / extra / changed entity matters, with
+ *                per-property overrides (see severity.js)
  *   - children:  nested entity definitions (for namespaces)
  *
  * Adding a new entity type = adding an entry here. No strategy code changes.
@@ -18,6 +28,19 @@
  * @property {string}  label      - Human-readable display name
  * @property {'entity'|'flat'} strategy - Comparison strategy
  * @property {string}  [idField]  - Field used as unique identifier (default 'id')
+ * @property {Object<string, import('./comparators.js').ComparatorSpec>} [comparators]
+ *           Per-property comparators; undeclared properties compare strictly
+ * @property {Object<string, import('./strategies/entityCompare.js').CollectionConfig>} [collections]
+ *           Array-valued properties to diff per item instead of as one value
+ * @property {string[]} [optional] - Properties compared only when both sides have them
+ * @property {string[]} [context]  - Properties shown next to real differences, never diffed alone
+ * @property {boolean} [sourceDiff] - Ids are Atelier document names (e.g. "My.Class.cls");
+ *           the report offers an on-demand line diff of their source
+ * @property {string}  [source]   - Shared collection the items are read from (e.g. 'documents')
+ * @property {string[]|'*'} [documentTypes] - Item `type` values kept from `source`;
+ *           '*' keeps every type no sibling entry with the same source lists
+ * @property {import('./severity.js').SeveritySpec} [severity] - Severity of each diff kind;
+ *           undeclared kinds are 'low'
  * @property {EntityConfig[]} [children] - Nested entity definitions
  */
 
@@ -27,85 +50,449 @@ export const registry = [
         key: 'namespaceConfig',
         label: 'Namespace Configuration',
         strategy: 'entity',
-        idField: 'id'
+        idField: 'id',
+        comparators: {
+            globals: 'caseInsensitive',
+            routines: 'caseInsensitive'
+        },
+        severity: {
+            missing: 'critical',
+            extra: 'low',
+            changed: 'high'
+        }
     },
     {
         key: 'tasks',
         label: 'Scheduled Tasks',
         strategy: 'entity',
-        idField: 'id'
+        idField: 'id',
+        comparators: {
+            deleteAfterRun: 'boolean',
+            description: 'trimmed',
+            expires: 'boolean',
+            isBatch: 'boolean',
+            nameSpace: 'caseInsensitive',
+            priority: 'numeric',
+            rescheduleOnStart: 'boolean',
+            suspendOnError: 'boolean',
+            suspendTerminated: 'boolean'
+        },
+        severity: {
+            missing: 'medium',
+            extra: 'low',
+            changed: 'low',
+            properties: {
+                description: 'info',
+                nameSpace: 'high'
+            }
+        }
     },
     {
         key: 'webApplications',
         label: 'Web Applications',
         strategy: 'entity',
-        idField: 'id'
+        idField: 'id',
+        comparators: {
+            autheEnabled: 'numeric',
+            autoCompile: 'boolean',
+            CSPZENEnabled: 'boolean',
+            description: 'trimmed',
+            enabled: 'boolean',
+            isNameSpaceDefault: 'boolean',
+            JWTAuthEnabled: 'boolean',
+            nameSpace: 'caseInsensitive',
+            resource: 'caseInsensitive'
+        },
+        severity: {
+            missing: 'critical',
+            extra: 'medium',
+            changed: 'medium',
+            properties: {
+                autheEnabled: 'critical',
+                enabled: 'critical',
+                matchRoles: 'critical',
+                dispatchClass: 'high',
+                JWTAuthEnabled: 'high',
+                nameSpace: 'high',
+                resource: 'high',
+                description: 'info'
+            }
+        }
     },
     {
         key: 'sqlConnections',
         label: 'SQL Gateway Connections',
         strategy: 'entity',
-        idField: 'id'
+        idField: 'id',
+        comparators: {
+            isJDBC: 'boolean',
+            useCAST: 'boolean',
+            useCASTCHAR: 'boolean',
+            useCOALESCE: 'boolean'
+        },
+        severity: {
+            missing: 'high',
+            extra: 'low',
+            changed: 'medium'
+        }
     },
     {
         key: 'users',
         label: 'Users',
         strategy: 'entity',
-        idField: 'id'
+        idField: 'id',
+        comparators: {
+            accountNeverExpires: 'boolean',
+            enabled: 'boolean',
+            fullName: 'trimmed',
+            nameSpace: 'caseInsensitive',
+            roles: ['caseInsensitive', 'tokenSet']
+        },
+        severity: {
+            missing: 'high',
+            extra: 'medium',
+            changed: 'medium',
+            properties: {
+                enabled: 'critical',
+                roles: 'critical',
+                accountNeverExpires: 'medium',
+                fullName: 'info'
+            }
+        }
     },
     {
         key: 'roles',
         label: 'Roles',
         strategy: 'entity',
-        idField: 'id'
+        idField: 'id',
+        comparators: {
+            description: 'trimmed',
+            escalationOnly: 'boolean',
+            grantedRoles: ['caseInsensitive', 'tokenSet']
+        },
+        severity: {
+            missing: 'high',
+            extra: 'medium',
+            changed: 'medium',
+            properties: {
+                grantedRoles: 'critical',
+                escalationOnly: 'high',
+                description: 'info'
+            }
+        }
     },
     {
         key: 'resources',
         label: 'Resources',
         strategy: 'entity',
-        idField: 'id'
+        idField: 'id',
+        comparators: {
+            description: 'trimmed',
+            publicPermission: 'trimmed',
+            type: 'numeric'
+        },
+        severity: {
+            missing: 'high',
+            extra: 'low',
+            changed: 'medium',
+            properties: {
+                publicPermission: 'critical',
+                description: 'info'
+            }
+        }
     },
     {
         key: 'ssl',
         label: 'Ssl Configurations',
         strategy: 'entity',
-        idField: 'id'
+        idField: 'id',
+        comparators: {
+            protocols: 'tokenSet',
+            type: 'numeric',
+            verifyDepth: 'numeric',
+            verifyPeer: 'numeric'
+        },
+        severity: {
+            missing: 'high',
+            extra: 'low',
+            changed: 'high',
+            properties: {
+                tLSMinVersion: 'critical',
+                verifyPeer: 'critical',
+                description: 'info'
+            }
+        }
     },
     {
         key: 'namespaces',
         label: 'Namespaces',
         strategy: 'entity',
         idField: 'id',
+        severity: {
+            missing: 'critical',
+            extra: 'low',
+            changed: 'medium'
+        },
         children: [
             {
                 key: 'classes',
                 label: 'Classes',
                 strategy: 'entity',
-                idField: 'id'
+                idField: 'id',
+                comparators: {
+                    compiled: 'boolean',
+                    upToDate: 'boolean'
+                },
+                // Content fields are absent from snapshots taken by older exporters
+                optional: ['sourceHash', 'compiled', 'upToDate'],
+                context: ['lastModified'],
+                sourceDiff: true,
+                severity: {
+                    missing: 'high',
+                    extra: 'low',
+                    changed: 'medium',
+                    properties: {
+                        compiled: 'high'
+                    }
+                }
+            },
+            {
+                key: 'routines',
+                label: 'Routines (.mac)',
+                strategy: 'entity',
+                idField: 'id',
+                source: 'documents',
+                documentTypes: ['mac'],
+                optional: ['sourceHash'],
+                context: ['lastModified'],
+                sourceDiff: true,
+                severity: { missing: 'high', extra: 'low', changed: 'medium' }
+            },
+            {
+                key: 'includeFiles',
+                label: 'Include Files (.inc)',
+                strategy: 'entity',
+                idField: 'id',
+                source: 'documents',
+                documentTypes: ['inc'],
+                optional: ['sourceHash'],
+                context: ['lastModified'],
+                sourceDiff: true,
+                severity: { missing: 'high', extra: 'low', changed: 'medium' }
+            },
+            {
+                key: 'intRoutines',
+                label: 'INT Routines (.int)',
+                strategy: 'entity',
+                idField: 'id',
+                source: 'documents',
+                documentTypes: ['int'],
+                optional: ['sourceHash'],
+                context: ['lastModified'],
+                sourceDiff: true,
+                severity: { missing: 'high', extra: 'low', changed: 'medium' }
+            },
+            {
+                key: 'cspPages',
+                label: 'CSP Pages (.csp)',
+                strategy: 'entity',
+                idField: 'id',
+                source: 'documents',
+                documentTypes: ['csp'],
+                optional: ['sourceHash'],
+                context: ['lastModified'],
+                sourceDiff: true,
+                severity: { missing: 'high', extra: 'low', changed: 'medium' }
+            },
+            {
+                key: 'dfiDocuments',
+                label: 'DeepSee Definitions (.dfi)',
+                strategy: 'entity',
+                idField: 'id',
+                source: 'documents',
+                documentTypes: ['dfi'],
+                optional: ['sourceHash'],
+                context: ['lastModified'],
+                sourceDiff: true,
+                severity: { missing: 'high', extra: 'low', changed: 'medium' }
+            },
+            {
+                key: 'lookupDocuments',
+                label: 'Lookup Table Documents (.lut)',
+                strategy: 'entity',
+                idField: 'id',
+                source: 'documents',
+                documentTypes: ['lut'],
+                optional: ['sourceHash'],
+                context: ['lastModified'],
+                sourceDiff: true,
+                severity: { missing: 'high', extra: 'low', changed: 'medium' }
+            },
+            {
+                key: 'hl7Schemas',
+                label: 'HL7 Schemas (.hl7)',
+                strategy: 'entity',
+                idField: 'id',
+                source: 'documents',
+                documentTypes: ['hl7'],
+                optional: ['sourceHash'],
+                context: ['lastModified'],
+                sourceDiff: true,
+                severity: { missing: 'high', extra: 'low', changed: 'medium' }
+            },
+            {
+                key: 'otherDocuments',
+                label: 'Other Documents',
+                strategy: 'entity',
+                idField: 'id',
+                source: 'documents',
+                documentTypes: '*',
+                optional: ['sourceHash'],
+                context: ['lastModified'],
+                sourceDiff: true,
+                severity: { missing: 'high', extra: 'low', changed: 'medium' }
             },
             {
                 key: 'globals',
                 label: 'Globals',
                 strategy: 'entity',
-                idField: 'id'
+                idField: 'id',
+                comparators: {
+                    collation: 'numeric',
+                    empty: 'boolean',
+                    hasData: 'boolean',
+                    keep: 'boolean',
+                    nodeCount: { tolerance: 'globalNodeCount' },
+                    nodeCountCapped: 'boolean',
+                    size: { tolerance: 'globalSize' }
+                },
+                // Data fingerprints are only exported in deep mode
+                optional: ['size', 'nodeCount', 'nodeCountCapped', 'checksum'],
+                severity: {
+                    missing: 'high',
+                    extra: 'low',
+                    changed: 'low',
+                    properties: {
+                        collation: 'high',
+                        checksum: 'medium'
+                    }
+                }
             },
             {
                 key: 'credentials',
                 label: 'Credentials',
                 strategy: 'entity',
-                idField: 'id'
+                idField: 'id',
+                severity: {
+                    missing: 'high',
+                    extra: 'low',
+                    changed: 'medium'
+                }
             },
             {
                 key: 'productionItems',
                 label: 'Production Items',
                 strategy: 'entity',
-                idField: 'id'
+                idField: 'id',
+                comparators: {
+                    alertGroups: 'tokenSet',
+                    category: 'tokenSet',
+                    disableErrorTraps: 'boolean',
+                    foreground: 'boolean',
+                    logTraceEvents: 'boolean',
+                    poolSize: 'numeric'
+                },
+                collections: {
+                    settings: { idField: 'id', valueField: 'value', labelFields: ['target', 'name'] }
+                },
+                severity: {
+                    missing: 'critical',
+                    extra: 'medium',
+                    changed: 'medium',
+                    properties: {
+                        enabled: 'critical',
+                        settings: 'high',
+                        category: 'info',
+                        comment: 'info'
+                    }
+                }
             },
             {
                 key: 'lookups',
                 label: 'Lookup Tables',
-                strategy: 'flat'
+                strategy: 'flat',
+                severity: {
+                    missing: 'medium',
+                    extra: 'low'
+                }
             }
         ]
     }
 ];
+
+/**
+ * List every registry section (children prefixed with their parent label)
+ * as [key, label] pairs, preceded by the "all sections" wildcard. Used by
+ * the section pickers of the settings and timeline pages.
+ *
+ * @returns {Array<[string, string]>}
+ */
+export function buildSectionOptions() {
+    const options = [['*', 'All sections']];
+    for (const config of registry) {
+        options.push([config.key, config.label]);
+        for (const child of config.children || []) {
+            options.push([child.key, `${config.label} › ${child.label}`]);
+        }
+    }
+    return options;
+}
+
+/**
+ * Find the configuration of a section by key, searching child
+ * definitions as well.
+ *
+ * @param {string} key
+ * @param {EntityConfig[]} [configs]
+ * @returns {EntityConfig|null}
+ */
+export function findConfig(key, configs = registry) {
+    for (const config of configs) {
+        if (config.key === key) return config;
+        if (config.children) {
+            const child = findConfig(key, config.children);
+            if (child) return child;
+        }
+    }
+    return null;
+}
+
+/**
+ * Items of a section within a snapshot or parent entity. Sections with
+ * a `source` are filtered out of the shared collection by document type.
+ *
+ * @param {EntityConfig} config
+ * @param {object} container   - Snapshot root or parent entity (e.g. a namespace)
+ * @param {EntityConfig[]} siblings - Configs at the same level, used to resolve '*'
+ * @returns {*} The items, or undefined when the container lacks the collection
+ */
+export function sectionItems(config, container, siblings) {
+    const items = container[config.source || config.key];
+
+    if (!config.source || !Array.isArray(items)) {
+        return items;
+    }
+
+    let accepts;
+    if (config.documentTypes === '*') {
+        const claimed = new Set(siblings
+            .filter(sibling => sibling.source === config.source && sibling.documentTypes !== '*')
+            .flatMap(sibling => sibling.documentTypes));
+        accepts = type => !claimed.has(type);
+    } else {
+        const types = new Set(config.documentTypes);
+        accepts = type => types.has(type);
+    }
+
+    return items.filter(item => accepts(String(item?.type ?? '').toLowerCase()));
+}
@@ -0,0 +1,356 @@
+/**
+ * Remediation — turns a comparison report into fix items: the entities
+ * the current server is missing (to create) and the changed properties
+ * to reset to the saved snapshot's values. The fix items feed both the
+ * downloadable ObjectScript routine and the report's "Apply Fixes" step,
+ * which sends them to the framework's /apply route.
+ *
+ * The routine is generated for download and review only; nothing is
+ * executed. Secrets are never exported, so passwords are emitted as
+ * placeholders (<<...>>) and the routine skips any entity that still
+ * contains one. Extra entities are listed but never deleted.
+ */
+
+import { flattenSections } from './compare.js';
+
+export const ROUTINE_NAME = 'MigrationFix';
+
+const PLACEHOLDER_PREFIX = '<<';
+
+/**
+ * Sections the generator can fix, in dependency order (resources before
+ * the roles that use them, roles before users, …).
+ *
+ *   - label:     routine label and comment heading
+ *   - className: Security.* class, or %SYS.Task for tasks
+ *   - exclude:   exported properties that are not settable
+ *   - secrets:   properties to add as placeholders when creating
+ *   - note:      comment emitted before the section's blocks
+ */
+const GENERATORS = [
+    {
+        key: 'resources',
+        label: 'Resources',
+        className: 'Security.Resources',
+        exclude: ['id', 'name', 'nameLowerCase', 'type']
+    },
+    {
+        key: 'roles',
+        label: 'Roles',
+        className: 'Security.Roles',
+        exclude: ['id', 'name', 'nameLowerCase'],
+        note: 'Resource grants of roles are not exported: review them in the Management Portal.'
+    },
+    {
+        key: 'users',
+        label: 'Users',
+        className: 'Security.Users',
+        exclude: ['id', 'name', 'nameLowerCase'],
+        secrets: ['Password']
+    },
+    {
+        key: 'webApplications',
+        label: 'WebApplications',
+        className: 'Security.Applications',
+        exclude: ['id', 'name', 'nameLowerCase']
+    },
+    {
+        key: 'ssl',
+        label: 'SslConfigs',
+        className: 'Security.SSLConfigs',
+        exclude: ['id'],
+        note: 'Certificate and key files are not exported: set CertificateFile, PrivateKeyFile ' +
+            'and PrivateKeyPassword where needed.'
+    },
+    {
+        key: 'tasks',
+        label: 'Tasks',
+        className: '%SYS.Task',
+        exclude: ['id', 'type'],
+        note: 'Task class settings are not exported: review them in the Task Manager.'
+    }
+];
+
+/**
+ * @typedef {object} FixItem
+ * @property {string} itemId    - Stable key: section + entity id
+ * @property {string} section   - Registry key (e.g. 'roles')
+ * @property {string} className - Security.* class, or %SYS.Task
+ * @property {string} id        - Entity id
+ * @property {'create'|'modify'} action
+ * @property {Object<string, *>} properties - Property name → saved value
+ * @property {string[]} secrets - Properties that must be supplied on create (never exported)
+ */
+
+/**
+ * Registry keys of the sections that can be fixed, in dependency order.
+ */
+export const FIXABLE_SECTIONS = GENERATORS.map(g => g.key);
+
+/**
+ * Fix items for the missing and changed entities of a two-way report,
+ * in dependency order. Changed entities whose differences are all in
+ * non-settable properties produce no item.
+ *
+ * @param {object} report - Report produced by compare()
+ * @returns {FixItem[]}
+ */
+export function buildFixes(report) {
+    const sectionsByKey = new Map(report.sections.map(section => [section.key, section]));
+
+    return GENERATORS.flatMap(generator => {
+        const section = sectionsByKey.get(generator.key);
+        return section ? sectionFixes(generator, section) : [];
+    });
+}
+
+/**
+ * Generate the remediation routine for a two-way report.
+ *
+ * @param {object} report - Report produced by compare(), with header metadata
+ * @returns {string} Routine source in UDL format (ROUTINE header + code)
+ */
+export function generateRemediationScript(report) {
+    const sectionsByKey = new Map(report.sections.map(section => [section.key, section]));
+
+    const bodies = [];
+    const entryCalls = [];
+
+    for (const generator of GENERATORS) {
+        const section = sectionsByKey.get(generator.key);
+        if (!section) continue;
+
+        const lines = generateSection(generator, section);
+        if (lines.length === 0) continue;
+
+        entryCalls.push(`    Do ${generator.label}`);
+        bodies.push('', `${generator.label} ; ${generator.className}`, ...lines, '    Quit');
+    }
+
+    const handled = new Set(GENERATORS.map(g => g.key));
+    const manual = flattenSections(report.sections)
+        .filter(section => (section.parentId || !handled.has(section.key)) && countOwnDifferences(section) > 0)
+        .map(section => {
+            const label = section.parentId ? `${section.parentId} › ${section.label}` : section.label;
+            return `    ; - ${label}: ${countOwnDifferences(section)} difference(s)`;
+        });
+
+    const lines = [
+        `ROUTINE ${ROUTINE_NAME}`,
+        `${ROUTINE_NAME} ; Remediation generated by IRIS Migration Checklist`,
+        `    ; Generated:      ${report.timestamp || ''}`,
+        `    ; Source (saved): ${report.savedName || '—'} — ${report.savedServer || '—'}`,
+        `    ; Target:         ${report.currentName || 'Live server'} — ${report.currentServer || '—'}`,
+        '    ;',
+        '    ; Run on the target server, after review: Do ^' + ROUTINE_NAME,
+        '    ; Missing entities are created and changed properties are reset to the',
+        '    ; saved values. Nothing is deleted.',
+        `    ; Values starting with ${PLACEHOLDER_PREFIX} are placeholders for secrets that are never`,
+        '    ; exported (e.g. passwords): replace them, or the entity is skipped.',
+        '    ;'
+    ];
+
+    if (entryCalls.length === 0) {
+        lines.push('    ; No differences this script can fix.');
+    }
+
+    if (manual.length > 0) {
+        lines.push('    ; Not covered by this script — fix manually:', ...manual, '    ;');
+    }
+
+    lines.push(
+        '    New $NAMESPACE',
+        '    Set $NAMESPACE = "%SYS"',
+        ...entryCalls,
+        '    Write !',
+        '    Quit',
+        ...bodies,
+        '',
+        ...HELPER_LABELS
+    );
+
+    return lines.join('\n') + '\n';
+}
+
+/* ------------------------------------------------------------------ */
+/*  Section generation                                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Fix items of one section: every settable property of a missing
+ * entity, and the changed settable properties of a matched one.
+ */
+function sectionFixes(generator, section) {
+    const fix = (id, action, entries) => ({
+        itemId: `${generator.key}:${id}`,
+        section: generator.key,
+        className: generator.className,
+        id,
+        action,
+        properties: Object.fromEntries(entries.map(([key, value]) => [propertyName(key), value])),
+        secrets: action === 'create' ? (generator.secrets || []) : []
+    });
+
+    const created = section.missing.map(({ id, entity }) =>
+        fix(id, 'create', Object.entries(entity).filter(([key]) => !generator.exclude.includes(key))));
+
+    const modified = (section.matched || [])
+        .map(match => fix(match.id, 'modify', match.differences
+            .filter(diff => !diff.context && !diff.collection)
+            .filter(diff => !generator.exclude.includes(diff.property))
+            .map(diff => [diff.property, diff.saved])))
+        .filter(item => Object.keys(item.properties).length > 0);
+
+    return [...created, ...modified];
+}
+
+/**
+ * Code lines for one section: a block per missing entity (create + set
+ * every property) and per changed entity (set the changed properties).
+ */
+function generateSection(generator, section) {
+    const lines = [];
+    const apply = generator.className === '%SYS.Task' ? 'ApplyTask' : 'Apply';
+    const target = generator.className === '%SYS.Task' ? '' : `"${generator.className}", `;
+
+    for (const item of sectionFixes(generator, section)) {
+        const props = Object.entries(item.properties);
+        for (const secret of item.secrets) {
+            props.push([secret, `${PLACEHOLDER_PREFIX}${secret.toUpperCase()} FOR ${item.id}>>`]);
+        }
+
+        const heading = item.action === 'create' ? 'Missing' : 'Changed';
+        lines.push(`    ; ${heading}: ${commentText(item.id)}`, ...propLines(props));
+        lines.push(`    Do ${apply}(${target}${literal(item.id)}, .props, ${item.action === 'create' ? 1 : 0})`);
+    }
+
+    if (section.extra.length > 0) {
+        lines.push(`    ; Extra on the target, left in place: ${commentText(section.extra.map(e => e.id).join(', '))}`);
+    }
+
+    if (lines.length > 0 && generator.note) {
+        lines.unshift(`    ; ${generator.note}`);
+    }
+
+    return lines;
+}
+
+function propLines(props) {
+    return [
+        '    Kill props',
+        ...props.map(([name, value]) => `    Set props(${literal(name)}) = ${literal(value)}`)
+    ];
+}
+
+/**
+ * Differences of a section itself, without its child sections.
+ */
+function countOwnDifferences(section) {
+    return section.missing.length + section.extra.length +
+        (section.matched || []).filter(m => m.differences.length > 0).length;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Routine helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Labels shared by every generated routine.
+ */
+const HELPER_LABELS = [
+    'Apply(class, name, props, create) ; Create a Security.* entity if needed, then set its properties',
+    '    New key, sc',
+    '    If $$HasPlaceholder(.props, class, name) Quit',
+    '    If create && \'$CLASSMETHOD(class, "Exists", name) {',
+    '        ; Users are created disabled with a random password: a failed Modify leaves no open account',
+    '        If class = "Security.Users" {',
+    '            Set sc = ##class(Security.Users).Create(name, "", $SYSTEM.Encryption.Base64Encode($SYSTEM.Encryption.GenCryptRand(24)), "", "", "", "", 1, 0)',
+    '        } Else {',
+    '            Set sc = $CLASSMETHOD(class, "Create", name)',
+    '        }',
+    '        If $SYSTEM.Status.IsError(sc) {',
+    '            Do Report(sc, class, name)',
+    '            Quit',
+    '        }',
+    '    }',
+    '    Set sc = $CLASSMETHOD(class, "Modify", name, .props)',
+    '    Do Report(sc, class, name)',
+    '    Quit',
+    '',
+    'ApplyTask(name, props, create) ; Create a task if needed, then set its properties',
+    '    New id, key, sc, task',
+    '    If $$HasPlaceholder(.props, "%SYS.Task", name) Quit',
+    '    Set id = ##class(%SYS.Task).FindId(name)',
+    '    If id = "" {',
+    '        If \'create Write !, "SKIPPED %SYS.Task ", name, ": not found" Quit',
+    '        Set task = ##class(%SYS.Task).%New()',
+    '        Set task.Name = name',
+    '    } Else {',
+    '        Set task = ##class(%SYS.Task).%OpenId(id)',
+    '    }',
+    '    Set key = ""',
+    '    For {',
+    '        Set key = $ORDER(props(key))',
+    '        Quit:key=""',
+    '        Set $PROPERTY(task, key) = props(key)',
+    '    }',
+    '    Set sc = task.%Save()',
+    '    Do Report(sc, "%SYS.Task", name)',
+    '    Quit',
+    '',
+    'HasPlaceholder(props, class, name) ; True (and reported) when a placeholder was not replaced',
+    '    New key, found',
+    '    Set key = "", found = 0',
+    '    For {',
+    '        Set key = $ORDER(props(key))',
+    '        Quit:key=""',
+    `        If $EXTRACT(props(key), 1, ${PLACEHOLDER_PREFIX.length}) = "${PLACEHOLDER_PREFIX}" Set found = 1 Quit`,
+    '    }',
+    '    If found Write !, "SKIPPED ", class, " ", name, ": replace the ", key, " placeholder first"',
+    '    Quit found',
+    '',
+    'Report(sc, class, name) ; Print the outcome of one entity',
+    '    If $SYSTEM.Status.IsError(sc) {',
+    '        Write !, "FAILED  ", class, " ", name, ": ", $SYSTEM.Status.GetErrorText(sc)',
+    '    } Else {',
+    '        Write !, "OK      ", class, " ", name',
+    '    }',
+    '    Quit'
+];
+
+/* ------------------------------------------------------------------ */
+/*  Helpers                                                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Snapshot keys are the SQL column names with a lower-case first letter
+ * (e.g. "autheEnabled", "tLSMinVersion"): restore the property name.
+ */
+function propertyName(key) {
+    return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * ObjectScript literal for a snapshot value.
+ */
+function literal(value) {
+    if (value === true) return '1';
+    if (value === false) return '0';
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    if (value === undefined || value === null) return '""';
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    // String literals cannot span lines
+    return text
+        .split(/\r?\n/)
+        .map(part => `"${part.replace(/"/g, '""')}"`)
+        .join('_$CHAR(13,10)_');
+}
+
+/**
+ * Text safe to put after a ";" comment marker.
+ */
+function commentText(text) {
+    return String(text).replace(/[\r\n]+/g, ' ');
+}
@@ -0,0 +1,552 @@
+/**
+ * Report export — serializes the sectioned report produced by compare()
+ * into shareable formats:
+ *
+ *   - Markdown, for change tickets
+ *   - CSV, one row per missing / extra / changed property, for spreadsheets
+ *   - HTML, a single self-contained file (CSS inlined) for e-mail
+ *
+ * Every format starts with the report header metadata (saved / current
+ * server and their timestamps).
+ *
+ * Matrix reports (N-way comparisons) export to CSV only: one row per
+ * entity, one status column per snapshot.
+ */
+
+import { flattenSections } from './compare.js';
+import { findConfig } from './registry.js';
+import { SEVERITIES, severityOf } from './severity.js';
+import { skipReasonText } from './exportScope.js';
+
+/**
+ * @typedef {object} DifferenceRow
+ * @property {string} section  - Section label
+ * @property {string} sectionKey - Section registry key
+ * @property {string} parent   - Parent entity id (e.g. namespace), or ''
+ * @property {string} entity   - Entity id (or a description for flat items)
+ * @property {'missing'|'extra'|'changed'|'context'} kind
+ * @property {string} severity - See severity.js ('' for reports made before severities)
+ * @property {string} property - Changed property, '' for missing / extra
+ * @property {*}      saved
+ * @property {*}      current
+ */
+
+/**
+ * Display label for a missing / extra item. Entity sections wrap items
+ * as { id, entity }; flat items have no id, so their properties are
+ * listed instead.
+ *
+ * @param {{ strategy: string }} section
+ * @param {object} item
+ * @returns {string}
+ */
+export function entityLabel(section, item) {
+    if (section.strategy === 'entity') {
+        return item.id;
+    }
+    return Object.entries(item)
+        .map(([key, value]) => `${key}=${formatValue(value)}`)
+        .join(', ');
+}
+
+/**
+ * A property value as text: objects as JSON, a missing value as "—".
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatValue(value) {
+    if (value === undefined) return '—';
+    if (value === null) return 'null';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * An ISO timestamp in the browser's locale, "—" when there is none.
+ *
+ * @param {string} [iso]
+ * @returns {string}
+ */
+export function formatTimestamp(iso) {
+    if (!iso) return '—';
+    try {
+        return new Date(iso).toLocaleString();
+    } catch {
+        return iso;
+    }
+}
+
+/**
+ * Header metadata shared by every export format.
+ * @param {object} report
+ * @returns {Array<[string, string]>}
+ */
+export function reportMetadata(report) {
+    return [
+        ['Saved Snapshot', report.savedName || '—'],
+        ['Saved Server', report.savedServer || '—'],
+        ['Saved At', report.savedTimestamp || '—'],
+        ['Current Snapshot', report.currentName || 'Live server'],
+        ['Current Server', report.currentServer || '—'],
+        ['Current At', report.currentTimestamp || '—'],
+        ['Compared At', report.timestamp || '—'],
+        ['Global Fingerprints', globalFingerprintsLabel(report)],
+        ['Export Scope', scopeLabel(report)],
+        ['Skipped Namespaces', skippedNamespacesLabel(report)],
+        ['Not Supported', unsupportedLabel(report)],
+        ['Framework Versions', frameworkVersionsLabel(report)],
+        ['Total Differences', String(report.totalDifferences)],
+        ['Ignored Differences', String(report.totalIgnored || 0)],
+        ['Risk Score', riskLabel(report)]
+    ];
+}
+
+/**
+ * Flatten every difference in the report into one row each.
+ * @param {object} report
+ * @returns {DifferenceRow[]}
+ */
+export function collectDifferenceRows(report) {
+    const rows = [];
+
+    for (const section of flattenSections(report.sections)) {
+        const base = { section: section.label, sectionKey: section.key, parent: section.parentId || '' };
+
+        for (const item of section.missing) {
+            rows.push(presenceRow(base, section, item, 'missing'));
+        }
+
+        for (const item of section.extra) {
+            rows.push(presenceRow(base, section, item, 'extra'));
+        }
+
+        for (const match of section.matched || []) {
+            for (const diff of match.differences) {
+                rows.push({
+                    ...base,
+                    entity: match.id,
+                    kind: diff.context ? 'context' : 'changed',
+                    severity: diff.severity || '',
+                    property: diff.property,
+                    saved: diff.saved,
+                    current: diff.current
+                });
+            }
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Risk score with the number of differences per severity.
+ * @param {object} report
+ * @returns {string}
+ */
+export function riskLabel(report) {
+    if (report.riskScore === undefined) {
+        return 'Not classified (report made before severities)';
+    }
+    const counts = SEVERITIES
+        .filter(level => report.severityCounts?.[level] > 0)
+        .map(level => `${report.severityCounts[level]} ${level}`);
+    return counts.length > 0 ? `${report.riskScore} (${counts.join(', ')})` : String(report.riskScore);
+}
+
+/**
+ * Collections and namespaces covered by both snapshots. Anything outside
+ * the scope was not compared.
+ * @param {object} report
+ * @returns {string}
+ */
+export function scopeLabel(report) {
+    const { sections, namespaces } = report.scope || {};
+    if (!sections && !namespaces) return 'Everything';
+
+    const parts = [];
+    parts.push(sections ? `Collections: ${sections.join(', ') || 'none'}` : 'All collections');
+    parts.push(namespaces ? `Namespaces: ${namespaces.join(', ') || 'none'}` : 'all namespaces');
+    return parts.join(' · ');
+}
+
+/**
+ * Namespaces either server skipped while exporting, with the reason and
+ * the side(s), e.g. 'USER: excluded by "USER" (saved and current)'.
+ * @param {object} report
+ * @returns {string}
+ */
+export function skippedNamespacesLabel(report) {
+    const sides = new Map();
+    for (const side of ['saved', 'current']) {
+        for (const entry of report.skippedNamespaces?.[side] || []) {
+            const text = `${entry.id}: ${skipReasonText(entry)}`;
+            if (!sides.has(text)) sides.set(text, []);
+            sides.get(text).push(side);
+        }
+    }
+
+    if (sides.size === 0) return 'None';
+    return [...sides].map(([text, names]) => `${text} (${names.join(' and ')})`).join('; ');
+}
+
+/**
+ * Sections one of the servers cannot export, which were not compared.
+ * @param {object} report
+ * @returns {string}
+ */
+export function unsupportedLabel(report) {
+    const labels = new Set(flattenSections(report.sections || [])
+        .filter(section => section.unsupportedBy)
+        .map(section => `${section.label} (${section.unsupportedBy.join(' and ')})`));
+    return labels.size > 0 ? [...labels].join(', ') : 'None';
+}
+
+/**
+ * Whether the two snapshots were produced by different framework
+ * versions (their export shape may differ).
+ * @param {object} report
+ * @returns {boolean}
+ */
+export function frameworkVersionsDiffer(report) {
+    const { saved = null, current = null } = report.frameworkVersions || {};
+    return saved !== current;
+}
+
+/**
+ * Framework version of each side.
+ * @param {object} report
+ * @returns {string}
+ */
+export function frameworkVersionsLabel(report) {
+    const { saved = null, current = null } = report.frameworkVersions || {};
+    const name = version => version || 'unknown (before versioning)';
+    return frameworkVersionsDiffer(report)
+        ? `Saved ${name(saved)}, current ${name(current)} — different versions`
+        : name(saved);
+}
+
+/**
+ * Why a section was not compared.
+ * @param {{ unsupportedBy: string[] }} section
+ * @returns {string}
+ */
+export function unsupportedText(section) {
+    if (section.unsupportedBy.length > 1) return 'Not supported by either server';
+    return `Not supported by the ${section.unsupportedBy[0]} server`;
+}
+
+/**
+ * Whether global data fingerprints were compared, and with which tolerances.
+ * @param {object} report
+ * @returns {string}
+ */
+export function globalFingerprintsLabel(report) {
+    if (!report.deepGlobals) {
+        return 'Not compared (deep mode off for at least one snapshot)';
+    }
+    const { globalSize = 0, globalNodeCount = 0 } = report.tolerances || {};
+    return `Compared (size ±${globalSize}%, node count ±${globalNodeCount}%)`;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Markdown                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * @param {object} report
+ * @returns {string}
+ */
+export function reportToMarkdown(report) {
+    const lines = ['# Migration Comparison Report', ''];
+
+    lines.push('| | |', '|---|---|');
+    for (const [label, value] of reportMetadata(report)) {
+        lines.push(`| **${label}** | ${mdCell(value)} |`);
+    }
+    lines.push('');
+
+    if (report.totalDifferences === 0) {
+        lines.push('No differences found — servers are in sync.', '');
+        return lines.join('\n');
+    }
+
+    for (const section of flattenSections(report.sections)) {
+        if (section.totalDifferences === 0) continue;
+
+        const title = section.parentId
+            ? `### ${section.parentId} › ${section.label}`
+            : `## ${section.label}`;
+        lines.push(title, '');
+
+        const missing = section.missing.map(item => entityLabel(section, item));
+        const extra = section.extra.map(item => entityLabel(section, item));
+        appendMdList(lines, 'Missing in Current Server', missing);
+        appendMdList(lines, 'Extra in Current Server', extra);
+
+        const changed = (section.matched || []).filter(m => m.differences.length > 0);
+        if (changed.length > 0) {
+            lines.push(`**Changed Properties (${changed.length})**`, '');
+            lines.push('| Entity | Property | Saved Value | Current Value |', '|---|---|---|---|');
+            for (const match of changed) {
+                for (const diff of match.differences) {
+                    lines.push(
+                        `| ${mdCell(match.id)} | ${mdCell(diff.property)}${diff.context ? ' _(context)_' : ''} ` +
+                        `| ${mdCell(formatValue(diff.saved))} | ${mdCell(formatValue(diff.current))} |`
+                    );
+                }
+            }
+            lines.push('');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/* ------------------------------------------------------------------ */
+/*  CSV                                                                */
+/* ------------------------------------------------------------------ */
+
+/**
+ * @param {object} report
+ * @returns {string}
+ */
+export function reportToCsv(report) {
+    const lines = reportMetadata(report).map(pair => csvLine(pair));
+    lines.push('');
+
+    lines.push(csvLine(['Section', 'Parent', 'Entity', 'Kind', 'Severity', 'Property', 'Saved Value', 'Current Value']));
+    for (const row of collectDifferenceRows(report)) {
+        lines.push(csvLine([
+            row.section,
+            row.parent,
+            row.entity,
+            row.kind,
+            row.severity,
+            row.property,
+            row.kind === 'extra' ? '' : formatValue(row.saved),
+            row.kind === 'missing' ? '' : formatValue(row.current)
+        ]));
+    }
+
+    // CRLF per RFC 4180 — opens cleanly in Excel
+    return lines.join('\r\n');
+}
+
+/**
+ * Serialize a matrix report (see matrixCompare.js) to CSV.
+ * @param {object} report
+ * @returns {string}
+ */
+export function matrixToCsv(report) {
+    const columnLabels = report.columns.map(column => column.name || column.serverUrl);
+
+    const lines = [
+        csvLine(['Baseline', columnLabels[0]]),
+        csvLine(['Compared At', report.timestamp || '—']),
+        csvLine(['Total Differences', String(report.totalDifferences)]),
+        csvLine(['Ignored Differences', String(report.totalIgnored || 0)]),
+        ''
+    ];
+
+    lines.push(csvLine(['Section', 'Parent', 'Entity', ...columnLabels]));
+    for (const section of report.sections) {
+        for (const row of section.rows) {
+            lines.push(csvLine([
+                section.label,
+                section.parentId || '',
+                row.id,
+                ...row.cells.map(cell => cell.status)
+            ]));
+        }
+    }
+
+    return lines.join('\r\n');
+}
+
+/* ------------------------------------------------------------------ */
+/*  Self-contained HTML                                                */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Render the report as a standalone HTML document. Uses the same class
+ * names as the report page so the extension stylesheet applies as-is.
+ *
+ * @param {object} report
+ * @param {string} css - Stylesheet content to inline
+ * @returns {string}
+ */
+export function reportToHtml(report, css) {
+    const meta = reportMetadata(report)
+        .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+        .join('');
+
+    let body;
+    if (report.totalDifferences === 0) {
+        body = '<p class="success banner">No differences found — servers are in sync.</p>';
+    } else {
+        const count = report.totalDifferences;
+        body = `<section class="global-summary"><h2>${count} difference${count !== 1 ? 's' : ''} found</h2></section>`;
+        body += report.sections.map(htmlSection).join('');
+    }
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="UTF-8">',
+        '<title>Migration Comparison Report</title>',
+        `<style>${css.replace(/<\/style/gi, '<\\/style')}</style>`,
+        '</head>',
+        '<body class="report">',
+        '<div id="report">',
+        `<header><h1>Migration Comparison Report</h1><dl class="meta">${meta}</dl></header>`,
+        body,
+        '</div>',
+        '</body>',
+        '</html>'
+    ].join('\n');
+}
+
+function htmlSection(section) {
+    let badge = section.totalDifferences > 0
+        ? `<span class="section-badge diff">${section.totalDifferences}</span>`
+        : '<span class="section-badge sync">✓</span>';
+
+    let content = '';
+    if (section.unsupportedBy) {
+        badge = '<span class="section-badge unsupported">not supported</span>';
+        content = `<p class="in-sync-msg">${escapeHtml(unsupportedText(section))} — not compared.</p>`;
+    } else if (section.totalDifferences === 0) {
+        content = '<p class="in-sync-msg">All items are in sync.</p>';
+    } else {
+        content += htmlEntityList('Missing in Current Server', 'missing', section, section.missing);
+        content += htmlEntityList('Extra in Current Server', 'extra', section, section.extra);
+
+        const changed = (section.matched || []).filter(m => m.differences.length > 0);
+        if (changed.length > 0) {
+            content += `<div class="diff-group changed"><h4>Changed Properties (${changed.length})</h4>`;
+            content += changed.map(htmlPropertyDiffTable).join('');
+            content += '</div>';
+        }
+
+        if (section.childSections && section.childSections.length > 0) {
+            content += '<div class="child-sections">';
+            for (const [parentId, children] of groupByParent(section.childSections)) {
+                content += '<div class="child-parent-block">';
+                content += `<h4 class="child-parent-header">Namespace: ${escapeHtml(parentId)}</h4>`;
+                content += children.map(htmlSection).join('');
+                content += '</div>';
+            }
+            content += '</div>';
+        }
+    }
+
+    return '<section class="entity-section"><details open><summary>' +
+        `<span class="section-label">${escapeHtml(section.label)}</span> ${badge}` +
+        `</summary><div class="section-body">${content}</div></details></section>`;
+}
+
+function htmlEntityList(title, type, section, items) {
+    if (items.length === 0) return '';
+
+    const cards = items
+        .map(item => `<div class="entity-card ${type}"><div class="entity-card-id">` +
+            `${escapeHtml(entityLabel(section, item))}</div></div>`)
+        .join('');
+
+    return `<div class="diff-group ${type}"><h4>${title} (${items.length})</h4>` +
+        `<div class="entity-card-list">${cards}</div></div>`;
+}
+
+function htmlPropertyDiffTable(match) {
+    const rows = match.differences
+        .map(diff => '<tr>' +
+            `<td class="prop-name">${escapeHtml(diff.property)}${diff.context ? ' (context)' : ''}</td>` +
+            `<td class="prop-value saved">${escapeHtml(formatValue(diff.saved))}</td>` +
+            `<td class="prop-value current">${escapeHtml(formatValue(diff.current))}</td>` +
+            '</tr>')
+        .join('');
+
+    return `<div class="prop-diff-block"><div class="prop-diff-header">${escapeHtml(match.id)}</div>` +
+        '<table class="prop-diff-table"><thead><tr><th>Property</th><th>Saved Value</th>' +
+        `<th>Current Value</th></tr></thead><tbody>${rows}</tbody></table></div>`;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Helpers                                                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Build a missing / extra row. Entity sections wrap items as
+ * { id, entity }; flat sections list the raw items.
+ */
+function presenceRow(base, section, item, kind) {
+    const isEntity = section.strategy === 'entity';
+    const value = isEntity ? item.entity : item;
+
+    // Flat items are not tagged: their severity only depends on the kind
+    let severity = '';
+    if (section.severityCounts) {
+        severity = isEntity ? item.severity : severityOf(findConfig(section.key), kind);
+    }
+
+    return {
+        ...base,
+        entity: entityLabel(section, item),
+        kind,
+        severity,
+        property: '',
+        saved: kind === 'missing' ? value : undefined,
+        current: kind === 'extra' ? value : undefined
+    };
+}
+
+function groupByParent(sections) {
+    const map = new Map();
+    for (const section of sections) {
+        if (!map.has(section.parentId)) map.set(section.parentId, []);
+        map.get(section.parentId).push(section);
+    }
+    return map;
+}
+
+function appendMdList(lines, title, items) {
+    if (items.length === 0) return;
+    lines.push(`**${title} (${items.length})**`, '');
+    for (const item of items) {
+        lines.push(`- ${mdCell(item)}`);
+    }
+    lines.push('');
+}
+
+function mdCell(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\|/g, '\\|')
+        .replace(/\r?\n/g, '<br>');
+}
+
+function csvLine(values) {
+    return values
+        .map(value => {
+            let text = String(value ?? '');
+
+            // Server data starting like a formula would run as one in a spreadsheet:
+            // a leading quote keeps it text. Plain numbers (e.g. -5) cannot be formulas.
+            if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+                text = `'${text}`;
+            }
+
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(',');
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,147 @@
+/**
+ * Report filter — state of the report toolbar (search text, diff kinds,
+ * section, namespace, sort order, critical only) and its URL-hash form,
+ * so a filtered view can be bookmarked and reopened.
+ *
+ * Pure functions only; the report page applies the filter to its DOM.
+ */
+
+/**
+ * Kinds of report items. 'in-sync' covers the in-sync summaries.
+ * @type {string[]}
+ */
+export const FILTER_KINDS = ['missing', 'extra', 'changed', 'in-sync'];
+
+/**
+ * Sort orders, with their labels. 'severity' is the order the report is
+ * rendered in: most severe first.
+ * @type {Array<[string, string]>}
+ */
+export const SORT_ORDERS = [
+    ['severity', 'Severity'],
+    ['name', 'Name'],
+    ['count', 'Most differences']
+];
+
+/**
+ * @typedef {object} ReportFilter
+ * @property {string}   query        - Free text, matched case-insensitively
+ * @property {string[]} kinds        - Shown kinds (see FILTER_KINDS)
+ * @property {string}   section      - Section key, or '' for every section
+ * @property {string}   namespace    - Namespace, or '' for every namespace
+ * @property {string}   sort         - See SORT_ORDERS
+ * @property {boolean}  criticalOnly - Show critical differences only
+ */
+
+/**
+ * @typedef {object} FilterItem
+ * @property {string} section   - Section key
+ * @property {string} namespace - Namespace the item belongs to, or ''
+ * @property {string} kind      - See FILTER_KINDS
+ * @property {string} [severity]
+ * @property {string} search    - Lower-case text the query is matched against
+ */
+
+/** @type {ReportFilter} */
+export const DEFAULT_FILTER = {
+    query: '',
+    kinds: [...FILTER_KINDS],
+    section: '',
+    namespace: '',
+    sort: 'severity',
+    criticalOnly: false
+};
+
+/**
+ * Read a filter from a URL hash ("#q=...&kinds=missing,changed&...").
+ * Unknown or invalid values fall back to the defaults.
+ *
+ * @param {string} hash - `location.hash`, with or without the leading '#'
+ * @returns {ReportFilter}
+ */
+export function parseFilterHash(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const filter = { ...DEFAULT_FILTER, kinds: [...DEFAULT_FILTER.kinds] };
+
+    if (params.has('q')) filter.query = params.get('q');
+    if (params.has('section')) filter.section = params.get('section');
+    if (params.has('ns')) filter.namespace = params.get('ns');
+    if (params.get('critical') === '1') filter.criticalOnly = true;
+
+    if (params.has('kinds')) {
+        filter.kinds = params.get('kinds').split(',').filter(kind => FILTER_KINDS.includes(kind));
+    }
+
+    const sort = params.get('sort');
+    if (SORT_ORDERS.some(([value]) => value === sort)) filter.sort = sort;
+
+    return filter;
+}
+
+/**
+ * Serialize a filter to a URL hash, leaving out default values.
+ *
+ * @param {ReportFilter} filter
+ * @returns {string} Hash without the leading '#' ('' for the default filter)
+ */
+export function filterToHash(filter) {
+    const params = new URLSearchParams();
+
+    if (filter.query) params.set('q', filter.query);
+    if (!sameKinds(filter.kinds, DEFAULT_FILTER.kinds)) params.set('kinds', filter.kinds.join(','));
+    if (filter.section) params.set('section', filter.section);
+    if (filter.namespace) params.set('ns', filter.namespace);
+    if (filter.sort !== DEFAULT_FILTER.sort) params.set('sort', filter.sort);
+    if (filter.criticalOnly) params.set('critical', '1');
+
+    return params.toString();
+}
+
+/**
+ * Whether a filter hides anything (sorting does not).
+ *
+ * @param {ReportFilter} filter
+ * @returns {boolean}
+ */
+export function isFiltering(filter) {
+    return Boolean(filter.query || filter.section || filter.namespace || filter.criticalOnly)
+        || !sameKinds(filter.kinds, DEFAULT_FILTER.kinds);
+}
+
+/**
+ * Whether a report item passes a filter. With `ignoreQuery`, only the
+ * structural filters are checked (used when the query matched a child,
+ * e.g. one property of a changed entity).
+ *
+ * @param {FilterItem} item
+ * @param {ReportFilter} filter
+ * @param {boolean} [ignoreQuery]
+ * @returns {boolean}
+ */
+export function matchesFilter(item, filter, ignoreQuery = false) {
+    if (!filter.kinds.includes(item.kind)) return false;
+    if (filter.section && item.section !== filter.section) return false;
+    if (filter.namespace && item.namespace !== filter.namespace) return false;
+    if (filter.criticalOnly && item.severity !== 'critical') return false;
+    return ignoreQuery || matchesQuery(item.search, filter.query);
+}
+
+/**
+ * Case-insensitive substring match; an empty query matches everything.
+ *
+ * @param {string} text
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function matchesQuery(text, query) {
+    const needle = String(query || '').trim().toLowerCase();
+    return !needle || String(text || '').toLowerCase().includes(needle);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+function sameKinds(a, b) {
+    return a.length === b.length && a.every(kind => b.includes(kind));
+}
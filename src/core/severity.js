@@ -0,0 +1,166 @@
+/**
+ * Severity — how much a difference matters for a migration go/no-go.
+ *
+ * Each registry entry may declare a `severity` spec: one level per diff
+ * kind (missing / extra / changed) and per property. compare() tags every
+ * missing / extra entity, every changed entity and every property diff
+ * with its level, counts the levels per section and sums them into the
+ * report's risk score.
+ *
+ * Ignored differences are never classified: they do not count toward
+ * the risk score, just as they do not count as differences.
+ */
+
+/**
+ * Levels, most severe first.
+ * @typedef {'critical'|'high'|'medium'|'low'|'info'} Severity
+ */
+
+/**
+ * @typedef {object} SeveritySpec
+ * @property {Severity} [missing] - Entity in the saved snapshot only
+ * @property {Severity} [extra]   - Entity in the current snapshot only
+ * @property {Severity} [changed] - Property difference without its own level
+ * @property {Object<string, Severity>} [properties] - Per-property levels for
+ *           changed entities (collection diffs use the collection's name)
+ */
+
+/** @type {Severity[]} */
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+/**
+ * Contribution of one difference to the risk score.
+ */
+const RISK_WEIGHTS = {
+    critical: 25,
+    high: 10,
+    medium: 4,
+    low: 1,
+    info: 0
+};
+
+/**
+ * Level of a difference in a section without a matching declaration.
+ */
+const DEFAULT_SEVERITY = 'low';
+
+/**
+ * Severity of one difference.
+ *
+ * @param {import('./registry.js').EntityConfig|null} config
+ * @param {'missing'|'extra'|'changed'} kind
+ * @param {string} [property] - Changed property (or collection name)
+ * @returns {Severity}
+ */
+export function severityOf(config, kind, property) {
+    const spec = config?.severity || {};
+
+    if (kind === 'changed' && property && spec.properties?.[property]) {
+        return spec.properties[property];
+    }
+    return spec[kind] || DEFAULT_SEVERITY;
+}
+
+/**
+ * Tag the differences of a compared section with their severity and
+ * count them per level. Mutates the section's items:
+ *
+ *   - missing / extra `{ id, entity }` wrappers get `severity`
+ *   - property diffs get `severity` ('info' for context properties)
+ *   - changed entities get the `severity` of their worst diff
+ *
+ * Flat items are raw snapshot values and are counted, not tagged.
+ * Counts are per difference as in `totalDifferences`: one per missing,
+ * extra or changed entity.
+ *
+ * @param {import('./registry.js').EntityConfig} config
+ * @param {object} section - Section result (before child sections are added)
+ * @returns {Object<Severity, number>}
+ */
+export function classifySection(config, section) {
+    const counts = emptySeverityCounts();
+
+    if (section.strategy === 'flat') {
+        counts[severityOf(config, 'missing')] += section.missing.length;
+        counts[severityOf(config, 'extra')] += section.extra.length;
+        return counts;
+    }
+
+    for (const kind of ['missing', 'extra']) {
+        for (const item of section[kind]) {
+            item.severity = severityOf(config, kind);
+            counts[item.severity]++;
+        }
+    }
+
+    for (const match of section.matched) {
+        for (const diff of match.differences) {
+            diff.severity = diff.context
+                ? 'info'
+                : severityOf(config, 'changed', diff.collection || diff.property);
+        }
+
+        const real = match.differences.filter(diff => !diff.context);
+        if (real.length > 0) {
+            match.severity = highestSeverity(real.map(diff => diff.severity));
+            counts[match.severity]++;
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * @returns {Object<Severity, number>} Zero for every level
+ */
+export function emptySeverityCounts() {
+    return Object.fromEntries(SEVERITIES.map(level => [level, 0]));
+}
+
+/**
+ * Add severity counts into `target`. Mutates and returns `target`.
+ *
+ * @param {Object<Severity, number>} target
+ * @param {Object<Severity, number>} [counts]
+ * @returns {Object<Severity, number>}
+ */
+export function addSeverityCounts(target, counts) {
+    for (const level of SEVERITIES) {
+        target[level] += counts?.[level] || 0;
+    }
+    return target;
+}
+
+/**
+ * Most severe level of a list of levels, or of a counts object.
+ *
+ * @param {Severity[]|Object<Severity, number>} levels
+ * @returns {Severity|null} null when there is none
+ */
+export function highestSeverity(levels) {
+    const present = Array.isArray(levels)
+        ? new Set(levels)
+        : new Set(SEVERITIES.filter(level => levels?.[level] > 0));
+    return SEVERITIES.find(level => present.has(level)) || null;
+}
+
+/**
+ * Sort position of a level: most severe first, unclassified last.
+ *
+ * @param {Severity|null|undefined} severity
+ * @returns {number}
+ */
+export function severityRank(severity) {
+    const index = SEVERITIES.indexOf(severity);
+    return index === -1 ? SEVERITIES.length : index;
+}
+
+/**
+ * Weighted sum of the counts — 0 means no difference above 'info'.
+ *
+ * @param {Object<Severity, number>} counts
+ * @returns {number}
+ */
+export function riskScore(counts) {
+    return SEVERITIES.reduce((sum, level) => sum + (counts?.[level] || 0) * RISK_WEIGHTS[level], 0);
+}
@@ -0,0 +1,158 @@
+/**
+ * Snapshot files — serialization and validation of snapshots exported to
+ * (and imported from) .json files, so servers on different networks can
+ * be compared offline.
+ *
+ * A snapshot file wraps the export payload with its library metadata:
+ *
+ *   { format, version, name, serverUrl, timestamp, tags, snapshot }
+ *
+ * Raw payloads as returned by GetSnapshotGeneric (e.g. downloaded straight
+ * from the export endpoint) are accepted as well.
+ */
+
+import { registry, sectionItems } from './registry.js';
+
+export const SNAPSHOT_FILE_FORMAT = 'iris-migration-snapshot';
+export const SNAPSHOT_FILE_VERSION = 1;
+
+/**
+ * Serialize a snapshot library entry to the file format.
+ *
+ * @param {{ name: string, serverUrl: string, timestamp: string, tags?: string[], snapshot: object }} entry
+ * @returns {string} JSON text
+ */
+export function serializeSnapshotFile(entry) {
+    return JSON.stringify({
+        format: SNAPSHOT_FILE_FORMAT,
+        version: SNAPSHOT_FILE_VERSION,
+        name: entry.name,
+        serverUrl: entry.serverUrl,
+        timestamp: entry.timestamp,
+        tags: entry.tags || [],
+        snapshot: entry.snapshot
+    }, null, 2);
+}
+
+/**
+ * Parse and validate the text of a snapshot file.
+ *
+ * @param {string} text     - File content
+ * @param {string} fileName - Used as the name for raw payloads
+ * @returns {{ name: string, serverUrl: string, timestamp: string|null, tags: string[], snapshot: object }}
+ * @throws {Error} If the file is not JSON or does not contain a valid snapshot.
+ */
+export function parseSnapshotFile(text, fileName) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error(`"${fileName}" is not a valid JSON file.`);
+    }
+
+    if (!isPlainObject(data)) {
+        throw new Error(`"${fileName}" does not contain a snapshot object.`);
+    }
+
+    const wrapped = data.format === SNAPSHOT_FILE_FORMAT;
+
+    if (wrapped && data.version > SNAPSHOT_FILE_VERSION) {
+        throw new Error(
+            `"${fileName}" was written by a newer version of the extension (format v${data.version}).`
+        );
+    }
+
+    const snapshot = wrapped ? data.snapshot : data;
+    const errors = validateSnapshot(snapshot);
+
+    if (errors.length > 0) {
+        const shown = errors.slice(0, 3).join(' ');
+        const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+        throw new Error(`"${fileName}" is not a valid snapshot: ${shown}${more}`);
+    }
+
+    return {
+        name: wrapped && data.name ? String(data.name) : fileName.replace(/\.json$/i, ''),
+        serverUrl: wrapped && data.serverUrl ? String(data.serverUrl) : 'file://' + fileName,
+        timestamp: wrapped && isIsoDate(data.timestamp) ? data.timestamp : null,
+        tags: wrapped && Array.isArray(data.tags) ? data.tags.map(String) : [],
+        snapshot
+    };
+}
+
+/**
+ * Validate that a value has the shape produced by GetSnapshotGeneric.
+ * Sections are optional, but every section present must be an array
+ * of objects, and id-based sections must carry their id field.
+ *
+ * @param {*} snapshot
+ * @returns {string[]} Human-readable problems (empty when valid).
+ */
+export function validateSnapshot(snapshot) {
+    if (!isPlainObject(snapshot)) {
+        return ['Snapshot must be a JSON object.'];
+    }
+
+    if (!registry.some(config => config.key in snapshot)) {
+        return ['No known sections found.'];
+    }
+
+    const errors = [];
+    validateSections(registry, snapshot, '', errors);
+    return errors;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Validate every configured section present in `container`, recursing
+ * into child collections (e.g. namespace classes and globals).
+ */
+function validateSections(configs, container, path, errors) {
+    for (const config of configs) {
+        const collection = config.source || config.key;
+        if (!(collection in container)) continue;
+
+        const sectionPath = path + config.key;
+
+        if (!Array.isArray(container[collection])) {
+            const message = `"${path + collection}" must be an array.`;
+            // Shared collections are read by several configs: report once
+            if (!errors.includes(message)) errors.push(message);
+            continue;
+        }
+
+        const items = sectionItems(config, container, configs);
+
+        items.forEach((item, index) => {
+            const itemPath = `${sectionPath}[${index}]`;
+
+            if (!isPlainObject(item)) {
+                errors.push(`"${itemPath}" must be an object.`);
+                return;
+            }
+
+            if (config.strategy === 'entity') {
+                const id = item[config.idField || 'id'];
+                if (id === undefined || id === null || id === '') {
+                    errors.push(`"${itemPath}" has no "${config.idField || 'id'}".`);
+                    return;
+                }
+
+                if (config.children) {
+                    validateSections(config.children, item, `${sectionPath}[${id}].`, errors);
+                }
+            }
+        });
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isIsoDate(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
@@ -3,10 +3,16 @@
  *
  * Phase 1: Presence — index both arrays by id, find missing / extra.
  * Phase 2: Property diff — for matched IDs, compare every property.
+ *          Properties declared as keyed collections (e.g. production item
+ *          settings) are diffed per item instead of as one opaque value.
+ *          Context properties (e.g. class timestamps) never count as a
+ *          change, but are listed next to the real differences.
  *
  * @module strategies/entityCompare
  */
 
+import { canonicalize } from '../comparators.js';
+
 /**
  * @typedef {object} EntityDiffResult
  * @property {{ id: string, entity: object }[]} missing  - In saved, not in current
@@ -26,6 +32,29 @@
  * @property {string} property
  * @property {*}      saved
  * @property {*}      current
+ * @property {string} [collection] - Collection property the diff belongs to
+ * @property {string} [item]       - Label of the collection item (e.g. "Adapter: FilePath")
+ * @property {boolean} [context]    - Informational only; not a difference by itself
+ */
+
+/**
+ * @typedef {object} CollectionConfig
+ * @property {string}   [idField]     - Field identifying items (default 'id')
+ * @property {string}   [valueField]  - Field holding the compared value (default 'value')
+ * @property {string[]} [labelFields] - Fields joined with ': ' for display (default [idField])
+ */
+
+/**
+ * @typedef {object} PropertyOptions
+ * @property {Object<string, import('../comparators.js').ComparatorFn>} [comparators]
+ *           Per-property equality functions; properties without one use strict equality
+ * @property {Object<string, CollectionConfig>} [collections]
+ *           Array-valued properties to diff item by item
+ * @property {string[]} [optional]
+ *           Properties compared only when both entities have them (e.g. fields
+ *           older exporters did not produce)
+ * @property {string[]} [context]
+ *           Properties shown alongside real differences but never diffed alone
  */
 
 /**
@@ -35,9 +64,10 @@
  * @param {object[]} currentArr - Entities from the current snapshot
  * @param {string}   idField    - Property name used as unique identifier
  * @param {Set<string>} [excludeKeys] - Property names to skip during diff
+ * @param {PropertyOptions} [propertyOptions]
  * @returns {EntityDiffResult}
  */
-export function entityCompare(savedArr, currentArr, idField = 'id', excludeKeys = new Set()) {
+export function entityCompare(savedArr, currentArr, idField = 'id', excludeKeys = new Set(), propertyOptions = {}) {
     const savedMap = indexById(savedArr, idField);
     const currentMap = indexById(currentArr, idField);
 
@@ -67,7 +97,7 @@ export function entityCompare(savedArr, currentArr, idField = 'id', excludeKeys
         if (!currentMap.has(id)) continue;
 
         const currentEntity = currentMap.get(id);
-        const differences = diffProperties(savedEntity, currentEntity, idField, excludeKeys);
+        const differences = diffProperties(savedEntity, currentEntity, idField, excludeKeys, propertyOptions);
 
         if (differences.length > 0) {
             changedCount++;
@@ -123,9 +153,14 @@ function indexById(arr, idField) {
  * @param {object} current
  * @param {string} idField - Excluded from comparison
  * @param {Set<string>} [excludeKeys] - Additional keys to skip
+ * @param {PropertyOptions} [propertyOptions]
  * @returns {PropertyDiff[]}
  */
-function diffProperties(saved, current, idField, excludeKeys = new Set()) {
+function diffProperties(saved, current, idField, excludeKeys = new Set(), propertyOptions = {}) {
+    const comparators = propertyOptions.comparators || {};
+    const collections = propertyOptions.collections || {};
+    const optional = new Set(propertyOptions.optional || []);
+    const context = new Set(propertyOptions.context || []);
     const diffs = [];
 
     const allKeys = [...new Set([
@@ -140,15 +175,72 @@ function diffProperties(saved, current, idField, excludeKeys = new Set()) {
         const inSaved = key in saved;
         const inCurrent = key in current;
 
-        if (inSaved && !inCurrent) {
+        if (context.has(key)) continue;
+        if (optional.has(key) && !(inSaved && inCurrent)) continue;
+
+        const collection = collections[key];
+        if (collection && Array.isArray(saved[key]) && Array.isArray(current[key])) {
+            diffs.push(...diffCollection(key, saved[key], current[key], collection));
+        } else if (inSaved && !inCurrent) {
             diffs.push({ property: key, saved: saved[key], current: undefined });
         } else if (!inSaved && inCurrent) {
             diffs.push({ property: key, saved: undefined, current: current[key] });
-        } else if (!valuesEqual(saved[key], current[key])) {
+        } else if (!(comparators[key] || valuesEqual)(saved[key], current[key])) {
             diffs.push({ property: key, saved: saved[key], current: current[key] });
         }
     }
 
+    if (diffs.length > 0) {
+        for (const key of context) {
+            if (key in saved || key in current) {
+                diffs.push({ property: key, saved: saved[key], current: current[key], context: true });
+            }
+        }
+    }
+
+    return diffs;
+}
+
+/**
+ * Diff an array-valued property item by item, keyed by the collection's
+ * id field. Each differing item yields its own PropertyDiff whose
+ * property reads "<key> › <item label>".
+ *
+ * @param {string} key
+ * @param {object[]} savedItems
+ * @param {object[]} currentItems
+ * @param {CollectionConfig} config
+ * @returns {PropertyDiff[]}
+ */
+function diffCollection(key, savedItems, currentItems, config) {
+    const idField = config.idField || 'id';
+    const valueField = config.valueField || 'value';
+    const labelFields = config.labelFields || [idField];
+
+    const savedMap = indexById(savedItems, idField);
+    const currentMap = indexById(currentItems, idField);
+    const ids = [...new Set([...savedMap.keys(), ...currentMap.keys()])].sort();
+
+    const diffs = [];
+    for (const id of ids) {
+        const savedItem = savedMap.get(id);
+        const currentItem = currentMap.get(id);
+        const savedValue = savedItem ? savedItem[valueField] : undefined;
+        const currentValue = currentItem ? currentItem[valueField] : undefined;
+
+        if (savedItem && currentItem && valuesEqual(savedValue, currentValue)) continue;
+
+        const labelSource = savedItem || currentItem;
+        const item = labelFields.map(f => labelSource[f]).filter(v => v !== '' && v != null).join(': ');
+
+        diffs.push({
+            property: `${key} › ${item}`,
+            saved: savedValue,
+            current: currentValue,
+            collection: key,
+            item
+        });
+    }
     return diffs;
 }
 
@@ -167,21 +259,3 @@ function valuesEqual(a, b) {
 
     return false;
 }
-
-/**
- * Produce a deterministic canonical JSON string for any value.
- */
-function canonicalize(value) {
-    if (value === null || typeof value !== 'object') {
-        return JSON.stringify(value);
-    }
-
-    if (Array.isArray(value)) {
-        const items = value.map(canonicalize).sort();
-        return '[' + items.join(',') + ']';
-    }
-
-    const keys = Object.keys(value).sort();
-    const pairs = keys.map(k => JSON.stringify(k) + ':' + canonicalize(value[k]));
-    return '{' + pairs.join(',') + '}';
-}
@@ -7,6 +7,8 @@
  * @module strategies/flatCompare
  */
 
+import { canonicalize } from '../comparators.js';
+
 /**
  * @typedef {object} FlatDiffResult
  * @property {object[]} missing  - In saved, not in current
@@ -77,21 +79,3 @@ function buildMultiset(arr) {
     }
     return map;
 }
-
-/**
- * Produce a deterministic canonical JSON string for any value.
- */
-function canonicalize(value) {
-    if (value === null || typeof value !== 'object') {
-        return JSON.stringify(value);
-    }
-
-    if (Array.isArray(value)) {
-        const items = value.map(canonicalize).sort();
-        return '[' + items.join(',') + ']';
-    }
-
-    const keys = Object.keys(value).sort();
-    const pairs = keys.map(k => JSON.stringify(k) + ':' + canonicalize(value[k]));
-    return '{' + pairs.join(',') + '}';
-}
@@ -0,0 +1,98 @@
+/**
+ * Drift timeline — how one server's configuration evolved across its
+ * snapshots. Consecutive snapshots are diffed with compare(), and every
+ * difference becomes an event dated at the later snapshot.
+ *
+ * Pure functions only; no browser APIs.
+ */
+
+import { compare, flattenSections } from './compare.js';
+import { entityLabel } from './reportExport.js';
+
+/**
+ * @typedef {object} TimelineEvent
+ * @property {string} section      - Registry key (e.g. 'webApplications', 'classes')
+ * @property {string} sectionLabel
+ * @property {string} [parentId]   - Parent entity id (e.g. namespace) for child sections
+ * @property {string} entity       - Entity id (or a description for flat items)
+ * @property {'appeared'|'disappeared'|'changed'} kind
+ * @property {{ property: string, before: *, after: * }[]} changes - For 'changed'
+ */
+
+/**
+ * @typedef {object} TimelineStep
+ * @property {{ id: string, name: string, timestamp: string }} from
+ * @property {{ id: string, name: string, timestamp: string }} to
+ * @property {TimelineEvent[]} events
+ */
+
+/**
+ * Build the timeline of a server from its snapshots.
+ *
+ * @param {import('../storage.js').SnapshotEntry[]} entries - Snapshots of one server
+ * @param {import('./compare.js').CompareOptions} [options]
+ * @returns {TimelineStep[]} One step per consecutive pair, oldest first.
+ */
+export function buildTimeline(entries, options = {}) {
+    const ordered = [...entries].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const steps = [];
+
+    for (let i = 1; i < ordered.length; i++) {
+        const previous = ordered[i - 1];
+        const next = ordered[i];
+        const report = compare(previous.snapshot, next.snapshot, options);
+
+        steps.push({
+            from: describeEntry(previous),
+            to: describeEntry(next),
+            events: collectEvents(report)
+        });
+    }
+
+    return steps;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Turn a comparison report into events. Compared from the older
+ * snapshot, "missing" means the entity disappeared and "extra" that it
+ * appeared.
+ */
+function collectEvents(report) {
+    const events = [];
+
+    for (const section of flattenSections(report.sections)) {
+        const base = {
+            section: section.key,
+            sectionLabel: section.label,
+            parentId: section.parentId
+        };
+
+        for (const item of section.missing) {
+            events.push({ ...base, entity: entityLabel(section, item), kind: 'disappeared', changes: [] });
+        }
+
+        for (const item of section.extra) {
+            events.push({ ...base, entity: entityLabel(section, item), kind: 'appeared', changes: [] });
+        }
+
+        for (const match of section.matched || []) {
+            const changes = match.differences
+                .filter(diff => !diff.context)
+                .map(diff => ({ property: diff.property, before: diff.saved, after: diff.current }));
+
+            if (changes.length > 0) {
+                events.push({ ...base, entity: match.id, kind: 'changed', changes });
+            }
+        }
+    }
+
+    return events;
+}
+
+function describeEntry(entry) {
+    return { id: entry.id, name: entry.name, timestamp: entry.timestamp };
+}
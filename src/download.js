@@ -0,0 +1,40 @@
+/**
+ * Download helpers — save generated content as a local file.
+ * Shared by the popup and the report page.
+ */
+
+/**
+ * Trigger a browser download of `content` under `fileName`.
+ *
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} [mimeType]
+ */
+export function downloadFile(fileName, content, mimeType = 'application/json') {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Turn an arbitrary label into a safe file-name fragment.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function toFileSlug(text) {
+    return String(text || 'export')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'export';
+}
@@ -0,0 +1,330 @@
+/**
+ * Options page controller — edits the user settings persisted by
+ * storage.js: global fingerprint options, the namespace filter, how the
+ * backend is set up on a server, and the ignore rules applied by compare().
+ */
+
+import { loadIgnoreRules, saveIgnoreRules, loadSettings, saveSettings } from './storage.js';
+import { buildSectionOptions } from './core/registry.js';
+import { AUTH_METHODS, validateBackendSetup } from './core/backendSetup.js';
+import { parseScopeList, DEFAULT_NAMESPACE_EXCLUDES } from './core/exportScope.js';
+
+const KINDS = [
+    ['any', 'Any'],
+    ['missing', 'Missing'],
+    ['extra', 'Extra'],
+    ['changed', 'Changed']
+];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const rulesBody = document.getElementById('rules-body');
+    const rulesEmpty = document.getElementById('rules-empty');
+    const addRuleBtn = document.getElementById('add-rule-btn');
+    const saveRulesBtn = document.getElementById('save-rules-btn');
+    const statusEl = document.getElementById('status');
+
+    // Global fingerprint elements
+    const deepGlobalsInput = document.getElementById('deep-globals');
+    const toleranceSizeInput = document.getElementById('tolerance-size');
+    const toleranceNodesInput = document.getElementById('tolerance-nodes');
+    const saveSettingsBtn = document.getElementById('save-settings-btn');
+
+    // Namespace filter elements
+    const namespaceIncludeInput = document.getElementById('namespace-include');
+    const namespaceExcludeInput = document.getElementById('namespace-exclude');
+    const resetNamespacesBtn = document.getElementById('reset-namespaces-btn');
+    const saveNamespacesBtn = document.getElementById('save-namespaces-btn');
+
+    // Backend setup elements
+    const setupPathInput = document.getElementById('setup-path');
+    const setupAuthEl = document.getElementById('setup-auth');
+    const setupDedicatedRoleInput = document.getElementById('setup-dedicated-role');
+    const setupRoleInput = document.getElementById('setup-role');
+    const setupIpsInput = document.getElementById('setup-ips');
+    const setupExpiresInput = document.getElementById('setup-expires');
+    const saveSetupBtn = document.getElementById('save-setup-btn');
+
+    const sectionOptions = buildSectionOptions();
+    const authInputs = buildAuthMethods(setupAuthEl);
+
+    saveSettingsBtn.addEventListener('click', handleSaveSettings);
+    saveSetupBtn.addEventListener('click', handleSaveSetup);
+    saveNamespacesBtn.addEventListener('click', handleSaveNamespaces);
+    resetNamespacesBtn.addEventListener('click', () => {
+        showNamespaceFilter({ include: [], exclude: DEFAULT_NAMESPACE_EXCLUDES });
+    });
+    setupDedicatedRoleInput.addEventListener('change', () => {
+        setupRoleInput.disabled = !setupDedicatedRoleInput.checked;
+    });
+
+    addRuleBtn.addEventListener('click', () => {
+        addRuleRow({ section: '*', entity: '*', property: '', kind: 'any', note: '' });
+        updateEmptyState();
+    });
+    saveRulesBtn.addEventListener('click', handleSaveRules);
+
+    try {
+        const settings = await loadSettings();
+        deepGlobalsInput.checked = settings.deepGlobals;
+        toleranceSizeInput.value = settings.tolerances.globalSize;
+        toleranceNodesInput.value = settings.tolerances.globalNodeCount;
+        showNamespaceFilter(settings.namespaceFilter);
+        showBackendSetup(settings.backendSetup);
+
+        for (const rule of await loadIgnoreRules()) {
+            addRuleRow(rule);
+        }
+        updateEmptyState();
+    } catch (err) {
+        setStatus(`Error: ${err.message}`, 'error');
+    }
+
+    /* ---- Settings ---- */
+
+    async function handleSaveSettings() {
+        try {
+            saveSettingsBtn.disabled = true;
+            const settings = await loadSettings();
+            await saveSettings({
+                ...settings,
+                deepGlobals: deepGlobalsInput.checked,
+                tolerances: {
+                    ...settings.tolerances,
+                    globalSize: readPercent(toleranceSizeInput, 'Size tolerance'),
+                    globalNodeCount: readPercent(toleranceNodesInput, 'Node count tolerance')
+                }
+            });
+            setStatus('Settings saved.', 'success');
+        } catch (err) {
+            setStatus(`Error: ${err.message}`, 'error');
+        } finally {
+            saveSettingsBtn.disabled = false;
+        }
+    }
+
+    /* ---- Namespace filter ---- */
+
+    function showNamespaceFilter(filter) {
+        namespaceIncludeInput.value = filter.include.join(', ');
+        namespaceExcludeInput.value = filter.exclude.join(', ');
+    }
+
+    async function handleSaveNamespaces() {
+        try {
+            saveNamespacesBtn.disabled = true;
+
+            const namespaceFilter = {
+                include: readNamespacePatterns(namespaceIncludeInput),
+                exclude: readNamespacePatterns(namespaceExcludeInput)
+            };
+
+            const settings = await loadSettings();
+            await saveSettings({ ...settings, namespaceFilter });
+            showNamespaceFilter(namespaceFilter);
+            setStatus('Namespace filter saved. It applies to the next export.', 'success');
+        } catch (err) {
+            setStatus(`Error: ${err.message}`, 'error');
+        } finally {
+            saveNamespacesBtn.disabled = false;
+        }
+    }
+
+    /* ---- Backend setup ---- */
+
+    function showBackendSetup(setup) {
+        setupPathInput.value = setup.appPath;
+        for (const [key, input] of authInputs) {
+            input.checked = setup.authMethods.includes(key);
+        }
+        setupDedicatedRoleInput.checked = setup.dedicatedRole;
+        setupRoleInput.value = setup.roleName;
+        setupRoleInput.disabled = !setup.dedicatedRole;
+        setupIpsInput.value = setup.allowedIps.join(', ');
+        setupExpiresInput.value = toLocalInputValue(setup.expiresAt);
+    }
+
+    async function handleSaveSetup() {
+        try {
+            saveSetupBtn.disabled = true;
+
+            const backendSetup = {
+                appPath: setupPathInput.value.trim(),
+                authMethods: [...authInputs].filter(([, input]) => input.checked).map(([key]) => key),
+                dedicatedRole: setupDedicatedRoleInput.checked,
+                roleName: setupRoleInput.value.trim(),
+                allowedIps: parseScopeList(setupIpsInput.value),
+                // datetime-local values are local time; store them as UTC
+                expiresAt: setupExpiresInput.value ? new Date(setupExpiresInput.value).toISOString() : ''
+            };
+
+            const problems = validateBackendSetup(backendSetup);
+            if (problems.length > 0) {
+                throw new Error(problems.join(' '));
+            }
+
+            const settings = await loadSettings();
+            await saveSettings({ ...settings, backendSetup });
+            setStatus('Backend setup saved. It applies the next time the backend is installed or upgraded.', 'success');
+        } catch (err) {
+            setStatus(`Error: ${err.message}`, 'error');
+        } finally {
+            saveSetupBtn.disabled = false;
+        }
+    }
+
+    /* ---- Ignore rules ---- */
+
+    function addRuleRow(rule) {
+        const tr = document.createElement('tr');
+
+        const sectionSelect = document.createElement('select');
+        sectionSelect.dataset.field = 'section';
+        for (const [value, label] of sectionOptions) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            sectionSelect.appendChild(option);
+        }
+        sectionSelect.value = rule.section || '*';
+
+        const kindSelect = document.createElement('select');
+        kindSelect.dataset.field = 'kind';
+        for (const [value, label] of KINDS) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            kindSelect.appendChild(option);
+        }
+        kindSelect.value = rule.kind || 'any';
+
+        const cells = [
+            sectionSelect,
+            textInput('entity', rule.entity || '*', 'e.g. /csp/myapp*'),
+            textInput('property', rule.property || '', 'e.g. description'),
+            kindSelect,
+            textInput('note', rule.note || '', 'Why is this expected?')
+        ];
+
+        for (const control of cells) {
+            const td = document.createElement('td');
+            td.appendChild(control);
+            tr.appendChild(td);
+        }
+
+        const removeTd = document.createElement('td');
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn-secondary btn-danger btn-small';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            tr.remove();
+            updateEmptyState();
+        });
+        removeTd.appendChild(removeBtn);
+        tr.appendChild(removeTd);
+
+        rulesBody.appendChild(tr);
+    }
+
+    function readRules() {
+        return [...rulesBody.querySelectorAll('tr')].map(tr => {
+            const rule = {};
+            for (const control of tr.querySelectorAll('[data-field]')) {
+                rule[control.dataset.field] = control.value.trim();
+            }
+            rule.entity = rule.entity || '*';
+            return rule;
+        });
+    }
+
+    async function handleSaveRules() {
+        try {
+            saveRulesBtn.disabled = true;
+            const rules = readRules();
+            await saveIgnoreRules(rules);
+            setStatus(`${rules.length} ignore rule${rules.length !== 1 ? 's' : ''} saved.`, 'success');
+        } catch (err) {
+            setStatus(`Error: ${err.message}`, 'error');
+        } finally {
+            saveRulesBtn.disabled = false;
+        }
+    }
+
+    function updateEmptyState() {
+        rulesEmpty.hidden = rulesBody.children.length > 0;
+    }
+
+    /* ---- Helpers ---- */
+
+    function setStatus(message, type) {
+        statusEl.textContent = message;
+        statusEl.className = `status ${type}`;
+    }
+});
+
+/**
+ * Read a 0–100 percentage from a number input.
+ * @throws {Error} When the value is missing or out of range.
+ */
+function readPercent(input, label) {
+    const value = Number(input.value);
+    if (input.value.trim() === '' || !Number.isFinite(value) || value < 0 || value > 100) {
+        throw new Error(`${label} must be a number between 0 and 100.`);
+    }
+    return value;
+}
+
+function textInput(field, value, placeholder) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.dataset.field = field;
+    input.value = value;
+    input.placeholder = placeholder;
+    return input;
+}
+
+/**
+ * Read comma-separated namespace globs, upper-cased like namespace names.
+ * @throws {Error} When a pattern holds anything but a namespace name and wildcards.
+ */
+function readNamespacePatterns(input) {
+    const patterns = parseScopeList(input.value).map(pattern => pattern.toUpperCase());
+    const invalid = patterns.find(pattern => !/^[%\w\-*?]+$/.test(pattern));
+    if (invalid) {
+        throw new Error(`"${invalid}" is not a namespace pattern. Use letters, digits, "%", "_", "-", "*" and "?".`);
+    }
+    return patterns;
+}
+
+/**
+ * Add one checkbox per authentication method to a container.
+ * @returns {Map<string, HTMLInputElement>} Checkboxes by method key
+ */
+function buildAuthMethods(container) {
+    const inputs = new Map();
+    for (const [key, label] of AUTH_METHODS) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'options-check';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = key;
+
+        wrapper.append(input, label);
+        container.appendChild(wrapper);
+        inputs.set(key, input);
+    }
+    return inputs;
+}
+
+/**
+ * Format an ISO date for a datetime-local input, in local time.
+ */
+function toLocalInputValue(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+        + `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
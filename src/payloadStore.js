@@ -0,0 +1,111 @@
+/**
+ * Payload store — keeps large JSON payloads (snapshots, the comparison
+ * report) gzip-compressed in the extension's IndexedDB database, so
+ * storage.local only holds small metadata.
+ *
+ * Values are compressed with CompressionStream and stored as
+ * ArrayBuffers under a string key. Used by storage.js only.
+ */
+
+const DB_NAME = 'migrationChecklist';
+const DB_VERSION = 1;
+const STORE_NAME = 'payloads';
+
+/**
+ * @typedef {object} PayloadSize
+ * @property {number} size       - Bytes of the uncompressed JSON
+ * @property {number} storedSize - Bytes actually stored (compressed)
+ */
+
+/**
+ * Compress and store a JSON-serializable value, replacing any value
+ * under the same key.
+ *
+ * @param {string} key
+ * @param {*} value
+ * @returns {Promise<PayloadSize>}
+ */
+export async function putPayload(key, value) {
+    const json = new Blob([JSON.stringify(value)], { type: 'application/json' });
+    const data = await new Response(json.stream().pipeThrough(new CompressionStream('gzip'))).arrayBuffer();
+
+    await withStore('readwrite', store => store.put(data, key));
+    return { size: json.size, storedSize: data.byteLength };
+}
+
+/**
+ * Load and decompress a stored value.
+ *
+ * @param {string} key
+ * @returns {Promise<*>} The value, or null when nothing is stored under the key.
+ */
+export async function getPayload(key) {
+    const data = await withStore('readonly', store => store.get(key));
+    if (!data) return null;
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return JSON.parse(await new Response(stream).text());
+}
+
+/**
+ * Delete stored values. Missing keys are ignored.
+ *
+ * @param {string[]} keys
+ * @returns {Promise<void>}
+ */
+export async function deletePayloads(keys) {
+    await withStore('readwrite', store => {
+        let request = null;
+        for (const key of keys) request = store.delete(key);
+        return request;
+    });
+}
+
+/**
+ * Delete every stored value.
+ * @returns {Promise<void>}
+ */
+export async function clearPayloads() {
+    await withStore('readwrite', store => store.clear());
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(new Error(`Could not open the snapshot database: ${request.error?.message}`));
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run one request in a transaction on the payload store and resolve
+ * with its result once the transaction completes.
+ *
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest|null} operation
+ */
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(new Error(`Snapshot database error: ${transaction.error?.message}`));
+        transaction.onabort = () => reject(new Error(`Snapshot database error: ${transaction.error?.message}`));
+    });
+}
@@ -1,5 +1,9 @@
 /**
- * Popup UI controller — orchestrates Save and Compare flows.
+ * Popup UI controller — orchestrates Save, Compare and matrix (N-way)
+ * Compare flows, the export scope (which collections and namespaces are
+ * fetched) and manages the snapshot library (select, rename, delete,
+ * set as baseline, export to and import from .json files). Also removes
+ * the backend from the active tab's server once a migration is done.
  *
  * Works on both Chrome and Firefox via the browser compatibility layer.
  * On Firefox, runtime host-permission requests are needed because MV3
@@ -8,33 +12,127 @@
  */
 
 import { browser } from './platform/browser-polyfill.js';
-import { fetchExport } from './api.js';
-import { saveSnapshot, loadSnapshot, saveReport, clearAllData } from './storage.js';
+import { fetchExport, ensureHostPermissions } from './api.js';
+import {
+    saveSnapshot,
+    loadSnapshot,
+    listSnapshots,
+    renameSnapshot,
+    deleteSnapshot,
+    setBaseline,
+    saveReport,
+    clearAllData,
+    loadIgnoreRules,
+    loadSettings,
+    saveSettings,
+    serverOrigin
+} from './storage.js';
 import { compare } from './core/compare.js';
-import { ensureExportApiAvailable } from './core/bootstrap.js';
+import { compareMatrix } from './core/matrixCompare.js';
+import { ensureExportApiAvailable, removeFramework } from './core/bootstrap.js';
+import { serializeSnapshotFile, parseSnapshotFile } from './core/snapshotFile.js';
+import { exportSections, parseScopeList } from './core/exportScope.js';
+import { preflightPassed } from './core/preflight.js';
+import { downloadFile, toFileSlug } from './download.js';
+
+// Value of the "Compare against" option that fetches from the active tab
+const LIVE_TARGET = 'live';
+
+// Preflight check status markers in the consent dialog
+const PREFLIGHT_ICONS = { passed: '✓', warning: '!', failed: '✗', skipped: '–' };
 
 document.addEventListener('DOMContentLoaded', () => {
     const saveBtn = document.getElementById('save-btn');
     const compareBtn = document.getElementById('compare-btn');
     const clearBtn = document.getElementById('clear-btn');
+    const removeBackendBtn = document.getElementById('remove-backend-btn');
     const statusEl = document.getElementById('status');
 
+    // Snapshot library elements
+    const nameInput = document.getElementById('snapshot-name');
+    const tagsInput = document.getElementById('snapshot-tags');
+    const snapshotSelect = document.getElementById('snapshot-select');
+    const snapshotMeta = document.getElementById('snapshot-meta');
+    const renameInput = document.getElementById('rename-input');
+    const renameBtn = document.getElementById('rename-btn');
+    const baselineBtn = document.getElementById('baseline-btn');
+    const deleteBtn = document.getElementById('delete-btn');
+    const exportBtn = document.getElementById('export-btn');
+    const importBtn = document.getElementById('import-btn');
+    const importInput = document.getElementById('import-input');
+    const timelineBtn = document.getElementById('timeline-btn');
+    const targetSelect = document.getElementById('target-select');
+
+    // Export scope elements
+    const scopeSummary = document.getElementById('scope-summary');
+    const scopeSections = document.getElementById('scope-sections');
+    const scopeNamespacesInput = document.getElementById('scope-namespaces');
+
+    // Matrix compare elements
+    const matrixList = document.getElementById('matrix-list');
+    const matrixBtn = document.getElementById('matrix-btn');
+
+    // Metadata of the library entries currently listed in the select
+    let snapshots = [];
+
+    // Matrix columns the user unticked; snapshots are included by default,
+    // the live server only on request
+    const matrixExcluded = new Set([LIVE_TARGET]);
+
+    // Warning from the last backend check (e.g. a newer backend than the
+    // bundled one), shown with the result of the current action
+    let backendWarning = null;
+
     // Consent dialog elements
     const consentOverlay = document.getElementById('consent-overlay');
     const consentConfirmBtn = document.getElementById('consent-confirm');
     const consentCancelBtn = document.getElementById('consent-cancel');
+    const consentPath = document.getElementById('consent-path');
+    const consentPreflight = document.getElementById('consent-preflight');
+    const consentBlocked = document.getElementById('consent-blocked');
+    const consentAccess = document.getElementById('consent-access');
+
+    // Backend upgrade dialog elements
+    const upgradeOverlay = document.getElementById('upgrade-overlay');
+    const upgradeInstalled = document.getElementById('upgrade-installed');
+    const upgradeBundled = document.getElementById('upgrade-bundled');
+    const upgradeConfirmBtn = document.getElementById('upgrade-confirm');
+    const upgradeCancelBtn = document.getElementById('upgrade-cancel');
+
+    // Backend removal dialog elements
+    const removeOverlay = document.getElementById('remove-overlay');
+    const removeServer = document.getElementById('remove-server');
+    const removePath = document.getElementById('remove-path');
+    const removeConfirmBtn = document.getElementById('remove-confirm');
+    const removeCancelBtn = document.getElementById('remove-cancel');
 
     saveBtn.addEventListener('click', handleSave);
     compareBtn.addEventListener('click', handleCompare);
+    matrixBtn.addEventListener('click', handleMatrixCompare);
     clearBtn.addEventListener('click', handleClear);
-
-    // On load, check if a snapshot exists to enable/update the compare button
-    updateSecondaryButtons();
+    removeBackendBtn.addEventListener('click', handleRemoveBackend);
+    renameBtn.addEventListener('click', handleRename);
+    baselineBtn.addEventListener('click', handleSetBaseline);
+    deleteBtn.addEventListener('click', handleDelete);
+    exportBtn.addEventListener('click', handleExport);
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', handleImport);
+    timelineBtn.addEventListener('click', handleShowTimeline);
+    snapshotSelect.addEventListener('change', updateSelectedSnapshot);
+    document.getElementById('settings-link').addEventListener('click', (event) => {
+        event.preventDefault();
+        browser.runtime.openOptionsPage();
+    });
+
+    // On load, populate the snapshot library and enable the matching buttons
+    refreshLibrary();
+    renderExportScope();
 
     /* ---- Save Flow ---- */
 
     async function handleSave() {
         try {
+            backendWarning = null;
             setStatus('Checking server...', 'info');
             disableButtons(true);
 
@@ -42,19 +140,36 @@ document.addEventListener('DOMContentLoaded', () => {
 
             await ensureHostPermissions(baseUrl);
 
-            await ensureExportApiAvailable(
+            const { deepGlobals, exportScope, namespaceFilter, backendSetup } = await loadSettings();
+            showBackendSetup(backendSetup);
+
+            backendWarning = await ensureExportApiAvailable(
                 baseUrl,
                 (msg) => setStatus(msg, 'info'),
-                showConsentDialog
+                showConsentDialog,
+                showUpgradeDialog,
+                backendSetup
             );
 
-            setStatus('Fetching server data...', 'info');
-            const snapshot = await fetchExport(baseUrl);
-
-            await saveSnapshot({ snapshot, serverUrl: baseUrl });
-
-            updateSecondaryButtons();
-            setStatus(`Data saved from ${baseUrl}`, 'success');
+            setStatus(deepGlobals ? 'Fetching server data (deep globals)...' : 'Fetching server data...', 'info');
+            const snapshot = await fetchExport(baseUrl, {
+                deep: deepGlobals,
+                appPath: backendSetup.appPath,
+                namespaceFilter,
+                ...exportScope
+            });
+
+            const entry = await saveSnapshot({
+                snapshot,
+                serverUrl: baseUrl,
+                name: nameInput.value.trim(),
+                tags: tagsInput.value.split(',')
+            });
+
+            nameInput.value = '';
+            tagsInput.value = '';
+            await refreshLibrary(entry.id);
+            setResultStatus(`Saved "${entry.name}" from ${baseUrl}.`);
         } catch (err) {
             setStatusError(err);
         } finally {
@@ -66,39 +181,274 @@ document.addEventListener('DOMContentLoaded', () => {
 
     async function handleCompare() {
         try {
+            backendWarning = null;
             disableButtons(true);
 
             setStatus('Loading saved snapshot...', 'info');
-            const saved = await loadSnapshot();
+            const saved = await loadSnapshot(snapshotSelect.value);
             if (!saved) {
-                setStatus('No saved data found. Save a server first.', 'error');
+                setStatus('Selected snapshot not found. Save a server first.', 'error');
                 return;
             }
 
-            const baseUrl = await getActiveTabOrigin();
-
-            await ensureHostPermissions(baseUrl);
-
-            await ensureExportApiAvailable(
-                baseUrl,
-                (msg) => setStatus(msg, 'info'),
-                showConsentDialog
-            );
-
-            setStatus('Fetching current server data...', 'info');
-            const currentSnapshot = await fetchExport(baseUrl);
+            const current = targetSelect.value === LIVE_TARGET
+                ? await fetchLiveTarget()
+                : await loadSnapshot(targetSelect.value);
+            if (!current) {
+                setStatus('Snapshot to compare against not found.', 'error');
+                return;
+            }
 
             setStatus('Comparing snapshots...', 'info');
-            const report = compare(saved.snapshot, currentSnapshot);
+            const ignoreRules = await loadIgnoreRules();
+            const { tolerances } = await loadSettings();
+            const report = compare(saved.snapshot, current.snapshot, { ignoreRules, tolerances });
+            report.tolerances = tolerances;
+            report.deepGlobals = Boolean(saved.snapshot.meta?.deepGlobals && current.snapshot.meta?.deepGlobals);
             report.savedServer = saved.serverUrl;
-            report.currentServer = baseUrl;
+            report.savedName = saved.name;
             report.savedTimestamp = saved.timestamp;
+            report.currentServer = current.serverUrl;
+            report.currentName = current.name;
+            report.currentTimestamp = current.timestamp;
+
+            await saveReport(report);
+
+            browser.tabs.create({ url: browser.runtime.getURL('report.html') });
+
+            setResultStatus('Report opened in a new tab.');
+        } catch (err) {
+            setStatusError(err);
+        } finally {
+            disableButtons(false);
+        }
+    }
+
+    /* ---- Matrix Compare Flow ---- */
+
+    async function handleMatrixCompare() {
+        try {
+            backendWarning = null;
+            disableButtons(true);
+
+            setStatus('Loading snapshots...', 'info');
+            const baseline = await loadSnapshot(snapshotSelect.value);
+            if (!baseline) {
+                setStatus('Selected snapshot not found. Save a server first.', 'error');
+                return;
+            }
+
+            const columns = [baseline];
+            for (const id of getMatrixSelection()) {
+                const entry = id === LIVE_TARGET ? await fetchLiveTarget() : await loadSnapshot(id);
+                if (entry) columns.push(entry);
+            }
+
+            setStatus(`Comparing ${columns.length} snapshots...`, 'info');
+            const ignoreRules = await loadIgnoreRules();
+            const { tolerances } = await loadSettings();
+            const report = compareMatrix(columns, { ignoreRules, tolerances });
 
             await saveReport(report);
 
             browser.tabs.create({ url: browser.runtime.getURL('report.html') });
 
-            setStatus('Report opened in a new tab.', 'success');
+            setResultStatus('Matrix report opened in a new tab.');
+        } catch (err) {
+            setStatusError(err);
+        } finally {
+            disableButtons(false);
+        }
+    }
+
+    /**
+     * List every possible matrix column except the baseline (the
+     * selected snapshot) as a checkbox.
+     */
+    function renderMatrixList() {
+        matrixList.innerHTML = '';
+
+        const choices = [
+            [LIVE_TARGET, 'Current server (active tab)'],
+            ...snapshots
+                .filter(entry => entry.id !== snapshotSelect.value)
+                .map(entry => [entry.id, `${entry.name} (${extractHost(entry.serverUrl)})`])
+        ];
+
+        for (const [value, text] of choices) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = value;
+            checkbox.checked = !matrixExcluded.has(value);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    matrixExcluded.delete(value);
+                } else {
+                    matrixExcluded.add(value);
+                }
+                disableButtons(false);
+            });
+
+            const label = document.createElement('label');
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(text));
+            matrixList.appendChild(label);
+        }
+    }
+
+    function getMatrixSelection() {
+        return [...matrixList.querySelectorAll('input:checked')].map(input => input.value);
+    }
+
+    /**
+     * Fetch a fresh snapshot from the active tab's server, installing
+     * the backend first if needed. Shaped like a library entry.
+     */
+    async function fetchLiveTarget() {
+        const baseUrl = await getActiveTabOrigin();
+
+        await ensureHostPermissions(baseUrl);
+
+        const { deepGlobals, exportScope, namespaceFilter, backendSetup } = await loadSettings();
+        showBackendSetup(backendSetup);
+
+        backendWarning = await ensureExportApiAvailable(
+            baseUrl,
+            (msg) => setStatus(msg, 'info'),
+            showConsentDialog,
+            showUpgradeDialog,
+            backendSetup
+        );
+
+        setStatus('Fetching current server data...', 'info');
+        const snapshot = await fetchExport(baseUrl, {
+            deep: deepGlobals,
+            appPath: backendSetup.appPath,
+            namespaceFilter,
+            ...exportScope
+        });
+
+        return {
+            name: null,
+            serverUrl: baseUrl,
+            timestamp: new Date().toISOString(),
+            snapshot
+        };
+    }
+
+    /* ---- Export Scope ---- */
+
+    /**
+     * List every exportable collection as a checkbox, ticked unless the
+     * stored scope leaves it out, and fill in the namespace list. Changes
+     * are stored right away, so the scope survives the popup closing.
+     */
+    async function renderExportScope() {
+        const { exportScope } = await loadSettings();
+        const selected = new Set(exportScope.sections);
+
+        scopeSections.innerHTML = '';
+        let level = null;
+        for (const section of exportSections()) {
+            if (section.level !== level) {
+                level = section.level;
+                const heading = document.createElement('p');
+                heading.className = 'snapshot-meta';
+                heading.textContent = level === 'server' ? 'Server-wide' : 'In each namespace';
+                scopeSections.appendChild(heading);
+            }
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = section.name;
+            checkbox.checked = selected.size === 0 || selected.has(section.name);
+            checkbox.addEventListener('change', handleScopeChange);
+
+            const label = document.createElement('label');
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(section.label));
+            scopeSections.appendChild(label);
+        }
+
+        scopeNamespacesInput.value = exportScope.namespaces.join(', ');
+        scopeNamespacesInput.addEventListener('change', handleScopeChange);
+
+        updateScopeSummary(exportScope);
+    }
+
+    async function handleScopeChange(event) {
+        const checkboxes = [...scopeSections.querySelectorAll('input')];
+        const ticked = checkboxes.filter(input => input.checked).map(input => input.value);
+
+        if (ticked.length === 0) {
+            event.target.checked = true;
+            setStatus('Select at least one collection to export.', 'error');
+            return;
+        }
+
+        // Everything ticked is stored as "no restriction", so collections
+        // added in later versions are exported too
+        const exportScope = {
+            sections: ticked.length === checkboxes.length ? [] : ticked,
+            namespaces: parseScopeList(scopeNamespacesInput.value).map(name => name.toUpperCase())
+        };
+
+        try {
+            const settings = await loadSettings();
+            await saveSettings({ ...settings, exportScope });
+            updateScopeSummary(exportScope);
+            setStatus('', '');
+        } catch (err) {
+            setStatusError(err);
+        }
+    }
+
+    function updateScopeSummary({ sections, namespaces }) {
+        const parts = [];
+        parts.push(sections.length === 0 ? 'all collections' : `${sections.length} collection(s)`);
+        if (namespaces.length > 0) parts.push(namespaces.join(', '));
+        scopeSummary.textContent = sections.length === 0 && namespaces.length === 0
+            ? 'everything'
+            : parts.join(' · ');
+    }
+
+    /* ---- Export / Import ---- */
+
+    async function handleExport() {
+        const selected = getSelectedSnapshot();
+        if (!selected) return;
+
+        try {
+            disableButtons(true);
+            const entry = await loadSnapshot(selected.id);
+            const date = entry.timestamp.slice(0, 10);
+
+            downloadFile(`${toFileSlug(entry.name)}-${date}.json`, serializeSnapshotFile(entry));
+            setStatus(`Exported "${entry.name}".`, 'success');
+        } catch (err) {
+            setStatusError(err);
+        } finally {
+            disableButtons(false);
+        }
+    }
+
+    async function handleImport() {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+
+        try {
+            disableButtons(true);
+            setStatus(`Reading ${file.name}...`, 'info');
+
+            const parsed = parseSnapshotFile(await file.text(), file.name);
+            const entry = await saveSnapshot({
+                ...parsed,
+                timestamp: parsed.timestamp || new Date(file.lastModified).toISOString()
+            });
+
+            await refreshLibrary(entry.id);
+            setStatus(`Imported "${entry.name}".`, 'success');
         } catch (err) {
             setStatusError(err);
         } finally {
@@ -113,6 +463,15 @@ document.addEventListener('DOMContentLoaded', () => {
         statusEl.className = `status ${type}`;
     }
 
+    /** Success message, or a warning when the backend check raised one. */
+    function setResultStatus(message) {
+        if (backendWarning) {
+            setStatus(`${message} ${backendWarning}`, 'warning');
+        } else {
+            setStatus(message, 'success');
+        }
+    }
+
     function setStatusError(err) {
         if (err.webAppUrl) {
             statusEl.innerHTML = '';
@@ -132,32 +491,173 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function disableButtons(disabled) {
+        const hasSnapshots = snapshots.length > 0;
+
         saveBtn.disabled = disabled;
-        compareBtn.disabled = disabled;
-        clearBtn.disabled = disabled;
+        removeBackendBtn.disabled = disabled;
+        compareBtn.disabled = disabled || !hasSnapshots;
+        clearBtn.disabled = disabled || !hasSnapshots;
+        snapshotSelect.disabled = disabled || !hasSnapshots;
+        renameInput.disabled = disabled || !hasSnapshots;
+        renameBtn.disabled = disabled || !hasSnapshots;
+        deleteBtn.disabled = disabled || !hasSnapshots;
+        exportBtn.disabled = disabled || !hasSnapshots;
+        importBtn.disabled = disabled;
+        timelineBtn.disabled = disabled || !serverOrigin(getSelectedSnapshot()?.serverUrl);
+        targetSelect.disabled = disabled || !hasSnapshots;
+        matrixBtn.disabled = disabled || !hasSnapshots || getMatrixSelection().length === 0;
+        for (const checkbox of matrixList.querySelectorAll('input')) {
+            checkbox.disabled = disabled;
+        }
+        for (const input of scopeSections.querySelectorAll('input')) {
+            input.disabled = disabled;
+        }
+        scopeNamespacesInput.disabled = disabled;
+        baselineBtn.disabled = disabled || !hasSnapshots || getSelectedSnapshot()?.isBaseline;
+    }
+
+    /* ---- Snapshot Library ---- */
+
+    /**
+     * Reload the library into the select. Keeps the current selection
+     * when possible, otherwise selects `selectId` or the baseline.
+     * @param {string} [selectId]
+     */
+    async function refreshLibrary(selectId) {
+        const previous = selectId || snapshotSelect.value;
+        snapshots = await listSnapshots();
+
+        const previousTarget = targetSelect.value;
+
+        snapshotSelect.innerHTML = '';
+        targetSelect.innerHTML = '';
+
+        if (snapshots.length === 0) {
+            const option = document.createElement('option');
+            option.textContent = 'No snapshots saved';
+            snapshotSelect.appendChild(option);
+        }
+
+        const liveOption = document.createElement('option');
+        liveOption.value = LIVE_TARGET;
+        liveOption.textContent = 'Current server (active tab)';
+        targetSelect.appendChild(liveOption);
+
+        for (const entry of snapshots) {
+            const label = `${entry.isBaseline ? '★ ' : ''}${entry.name} (${extractHost(entry.serverUrl)})`;
+
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = label;
+            snapshotSelect.appendChild(option);
+
+            const targetOption = document.createElement('option');
+            targetOption.value = entry.id;
+            targetOption.textContent = label;
+            targetSelect.appendChild(targetOption);
+        }
+
+        targetSelect.value = snapshots.some(e => e.id === previousTarget)
+            ? previousTarget
+            : LIVE_TARGET;
+
+        const fallback = snapshots.find(e => e.isBaseline) || snapshots[0];
+        if (snapshots.some(e => e.id === previous)) {
+            snapshotSelect.value = previous;
+        } else if (fallback) {
+            snapshotSelect.value = fallback.id;
+        }
+
+        updateSelectedSnapshot();
+    }
+
+    function getSelectedSnapshot() {
+        return snapshots.find(e => e.id === snapshotSelect.value) || null;
     }
 
-    async function updateSecondaryButtons() {
-        const saved = await loadSnapshot();
-        if (saved) {
-            const host = extractHost(saved.serverUrl);
-            compareBtn.textContent = `Compare to Saved Server (${host})`;
-            compareBtn.disabled = false;
-            clearBtn.disabled = false;
+    function updateSelectedSnapshot() {
+        const entry = getSelectedSnapshot();
+
+        if (entry) {
+            const tags = entry.tags.length > 0 ? ` · ${entry.tags.join(', ')}` : '';
+            const size = entry.storedSize !== undefined
+                ? ` · ${formatBytes(entry.storedSize)} stored (${formatBytes(entry.size)} uncompressed)`
+                : '';
+            snapshotMeta.textContent =
+                `${entry.serverUrl} · ${new Date(entry.timestamp).toLocaleString()}${tags}${size}`;
+            renameInput.value = entry.name;
         } else {
-            compareBtn.textContent = 'Compare to Saved Server';
-            compareBtn.disabled = true;
-            clearBtn.disabled = true;
+            snapshotMeta.textContent = '';
+            renameInput.value = '';
+        }
+
+        renderMatrixList();
+        disableButtons(false);
+    }
+
+    async function handleRename() {
+        const entry = getSelectedSnapshot();
+        if (!entry) return;
+
+        try {
+            disableButtons(true);
+            await renameSnapshot(entry.id, renameInput.value);
+            await refreshLibrary(entry.id);
+            setStatus('Snapshot renamed.', 'success');
+        } catch (err) {
+            setStatusError(err);
+        } finally {
+            disableButtons(false);
+        }
+    }
+
+    async function handleSetBaseline() {
+        const entry = getSelectedSnapshot();
+        if (!entry) return;
+
+        try {
+            disableButtons(true);
+            await setBaseline(entry.id);
+            await refreshLibrary(entry.id);
+            setStatus(`"${entry.name}" is now the baseline.`, 'success');
+        } catch (err) {
+            setStatusError(err);
+        } finally {
+            disableButtons(false);
         }
     }
 
+    async function handleDelete() {
+        const entry = getSelectedSnapshot();
+        if (!entry) return;
+
+        try {
+            disableButtons(true);
+            await deleteSnapshot(entry.id);
+            await refreshLibrary();
+            setStatus(`Deleted "${entry.name}".`, 'success');
+        } catch (err) {
+            setStatusError(err);
+        } finally {
+            disableButtons(false);
+        }
+    }
+
+    function handleShowTimeline() {
+        const origin = serverOrigin(getSelectedSnapshot()?.serverUrl);
+        if (!origin) return;
+
+        const url = browser.runtime.getURL(`timeline.html?origin=${encodeURIComponent(origin)}`);
+        browser.tabs.create({ url });
+    }
+
     /* ---- Clear Saved Data ---- */
 
     async function handleClear() {
         try {
             disableButtons(true);
             await clearAllData();
-            updateSecondaryButtons();
+            await refreshLibrary();
             setStatus('All saved data has been cleared.', 'success');
         } catch (err) {
             setStatus(`Error: ${err.message}`, 'error');
@@ -166,23 +666,125 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /* ---- Backend Removal ---- */
+
+    async function handleRemoveBackend() {
+        try {
+            disableButtons(true);
+
+            const baseUrl = await getActiveTabOrigin();
+            await ensureHostPermissions(baseUrl);
+
+            const { backendSetup } = await loadSettings();
+            showBackendSetup(backendSetup);
+
+            removeServer.textContent = baseUrl;
+            const removed = await removeFramework(
+                baseUrl,
+                (msg) => setStatus(msg, 'info'),
+                () => showDialog(removeOverlay, removeConfirmBtn, removeCancelBtn),
+                backendSetup.appPath
+            );
+
+            if (removed) {
+                setStatus(`Backend removed from ${baseUrl}.`, 'success');
+            } else {
+                setStatus('Removal cancelled.', 'info');
+            }
+        } catch (err) {
+            setStatusError(err);
+        } finally {
+            disableButtons(false);
+        }
+    }
+
     /* ---- Consent Dialog ---- */
 
     /**
-     * Show the consent dialog and return a promise that resolves to
+     * Show the installation consent dialog with the preflight checklist.
+     * Installing is only offered when no check failed.
+     * @param {import('./core/preflight.js').PreflightResult[]} preflight
+     * @returns {Promise<boolean>}
+     */
+    function showConsentDialog(preflight) {
+        consentPreflight.innerHTML = '';
+        for (const result of preflight) {
+            const li = document.createElement('li');
+            li.className = result.status;
+
+            const icon = document.createElement('span');
+            icon.className = 'preflight-icon';
+            icon.textContent = PREFLIGHT_ICONS[result.status];
+            icon.title = result.status;
+
+            const label = document.createElement('span');
+            label.textContent = result.label;
+
+            const message = document.createElement('span');
+            message.className = 'preflight-message';
+            message.textContent = result.message;
+
+            li.append(icon, label, message);
+            consentPreflight.appendChild(li);
+        }
+
+        const passed = preflightPassed(preflight);
+        consentConfirmBtn.disabled = !passed;
+        consentBlocked.hidden = passed;
+        consentCancelBtn.textContent = passed ? 'Cancel' : 'Close';
+
+        return showDialog(consentOverlay, consentConfirmBtn, consentCancelBtn);
+    }
+
+    /**
+     * Fill the install and removal dialogs with the configured backend
+     * setup (see the options page).
+     * @param {import('./core/backendSetup.js').BackendSetup} setup
+     */
+    function showBackendSetup(setup) {
+        consentPath.textContent = setup.appPath;
+        removePath.textContent = setup.appPath;
+
+        const restrictions = [];
+        if (setup.allowedIps.length > 0) restrictions.push(`from ${setup.allowedIps.join(', ')} only`);
+        if (setup.expiresAt) restrictions.push(`until ${new Date(setup.expiresAt).toLocaleString()}`);
+
+        consentAccess.textContent = (setup.dedicatedRole
+            ? `Running with a dedicated, read-mostly role "${setup.roleName}"`
+            : 'Running with the %All role')
+            + (restrictions.length > 0 ? `, reachable ${restrictions.join(' and ')}` : '');
+    }
+
+    /**
+     * Show the upgrade dialog for an outdated installed backend.
+     * @param {string|null} installed - Installed version (null: from before versioning)
+     * @param {string} bundled - Version bundled with the extension
+     * @returns {Promise<boolean>}
+     */
+    function showUpgradeDialog(installed, bundled) {
+        upgradeInstalled.textContent = installed || 'unknown (before versioning)';
+        upgradeBundled.textContent = bundled;
+        return showDialog(upgradeOverlay, upgradeConfirmBtn, upgradeCancelBtn);
+    }
+
+    /**
+     * Show a confirmation dialog and return a promise that resolves to
      * true (user accepted) or false (user cancelled).
+     * @param {HTMLElement} overlay
+     * @param {HTMLButtonElement} confirmBtn
+     * @param {HTMLButtonElement} cancelBtn
      * @returns {Promise<boolean>}
      */
-    function showConsentDialog() {
+    function showDialog(overlay, confirmBtn, cancelBtn) {
         return new Promise((resolve) => {
             document.body.classList.add('dialog-open');
-            consentOverlay.classList.remove('hidden');
+            overlay.classList.remove('hidden');
 
             function cleanup() {
-                consentOverlay.classList.add('hidden');
+                overlay.classList.add('hidden');
                 document.body.classList.remove('dialog-open');
-                consentConfirmBtn.removeEventListener('click', onConfirm);
-                consentCancelBtn.removeEventListener('click', onCancel);
+                confirmBtn.removeEventListener('click', onConfirm);
+                cancelBtn.removeEventListener('click', onCancel);
             }
 
             function onConfirm() {
@@ -195,8 +797,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 resolve(false);
             }
 
-            consentConfirmBtn.addEventListener('click', onConfirm);
-            consentCancelBtn.addEventListener('click', onCancel);
+            confirmBtn.addEventListener('click', onConfirm);
+            cancelBtn.addEventListener('click', onCancel);
         });
     }
 });
@@ -226,29 +828,17 @@ async function getActiveTabOrigin() {
 }
 
 /**
- * Ensure the extension has host permissions for the given server origin.
- *
- * On Firefox MV3, host_permissions listed in the manifest are NOT
- * automatically granted at install — the user must approve them at
- * runtime. On Chrome MV3, host_permissions ARE auto-granted, so
- * `permissions.contains` returns true immediately and no prompt appears.
- *
- * This function is safe to call on both browsers: on Chrome it is
- * effectively a no-op.
+ * Human-readable byte count, e.g. "1.4 MB".
  */
-async function ensureHostPermissions(baseUrl) {
-    const origin = new URL(baseUrl).origin;
-    const permissions = { origins: [`${origin}/*`] };
-
-    const already = await browser.permissions.contains(permissions);
-    if (already) return;
-
-    const granted = await browser.permissions.request(permissions);
-    if (!granted) {
-        throw new Error(
-            'Host permission denied. The extension needs access to the server to fetch data.'
-        );
+function formatBytes(bytes) {
+    const units = ['B', 'kB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
     }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
 }
 
 /**
@@ -1,9 +1,77 @@
 /**
  * Report renderer — reads the sectioned comparison report from storage
- * and renders collapsible, entity-aware diff sections.
+ * and renders collapsible, entity-aware diff sections, with a toolbar to
+ * export the report as Markdown, CSV or self-contained HTML.
+ *
+ * Sections, entities and property diffs are sorted and colored by
+ * severity (see core/severity.js). A toolbar filters the report by free
+ * text, diff kind, section, namespace and severity ("Critical only", for
+ * go/no-go reviews), re-sorts it and expands or collapses every section;
+ * its state is kept in the URL hash so a filtered view can be reopened.
+ *
+ * Changed documents (e.g. classes) can be expanded into a line-level
+ * source diff fetched on demand from both servers.
+ *
+ * Each difference can be triaged in a persistent checklist (status, note,
+ * assignee) stored per baseline/target pair, so the triage carries over
+ * to later reports of the same servers.
+ *
+ * Missing and changed security entities and tasks can be ticked and
+ * applied to the current server through the framework's /apply route,
+ * after a dry-run preview and a consent dialog. The outcome of each fix
+ * is written back into the stored report.
+ *
+ * Matrix reports (N-way comparisons, `report.mode === 'matrix'`) are
+ * rendered as one table per section: entities as rows, snapshots as
+ * columns, with a per-server property drill-down.
  */
 
-import { loadReport } from './storage.js';
+import { loadReport, saveReport, loadChecklist, saveChecklistItem, loadSettings } from './storage.js';
+import { fetchDocument, ensureHostPermissions, applyFixes } from './api.js';
+import {
+    reportToMarkdown,
+    reportToCsv,
+    reportToHtml,
+    matrixToCsv,
+    globalFingerprintsLabel,
+    riskLabel,
+    scopeLabel,
+    skippedNamespacesLabel,
+    unsupportedLabel,
+    unsupportedText,
+    frameworkVersionsLabel,
+    frameworkVersionsDiffer,
+    formatTimestamp
+} from './core/reportExport.js';
+import { countIgnored } from './core/ignoreRules.js';
+import {
+    generateRemediationScript,
+    buildFixes,
+    FIXABLE_SECTIONS,
+    ROUTINE_NAME
+} from './core/remediation.js';
+import { findConfig } from './core/registry.js';
+import { SEVERITIES, severityOf, severityRank, highestSeverity } from './core/severity.js';
+import {
+    FILTER_KINDS,
+    SORT_ORDERS,
+    parseFilterHash,
+    filterToHash,
+    isFiltering,
+    matchesFilter,
+    matchesQuery
+} from './core/reportFilter.js';
+import { diffLines, toHunks } from './core/lineDiff.js';
+import {
+    CHECKLIST_STATUSES,
+    DEFAULT_CHECKLIST_STATE,
+    checklistPairKey,
+    checklistItemKey,
+    checklistEntries,
+    checklistProgress,
+    isDefaultState
+} from './core/checklist.js';
+import { downloadFile } from './download.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
     const container = document.getElementById('report');
@@ -19,7 +87,17 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
-        renderReport(container, report);
+        if (report.mode === 'matrix') {
+            renderMatrixReport(container, report);
+        } else {
+            const pairKey = checklistPairKey(report);
+            renderReport(container, report, {
+                pairKey,
+                states: await loadChecklist(pairKey),
+                entries: checklistEntries(report),
+                progress: null
+            });
+        }
     } catch (err) {
         const p = document.createElement('p');
         p.className = 'error';
@@ -32,7 +110,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 /*  Top-level report                                                   */
 /* ------------------------------------------------------------------ */
 
-function renderReport(container, report) {
+/**
+ * @param {HTMLElement} container
+ * @param {object} report
+ * @param {{ pairKey: string, states: object, entries: object[], progress: HTMLElement|null,
+ *            pending?: Promise }} checklist
+ *        Stored checklist states of the report's server pair
+ */
+function renderReport(container, report, checklist) {
     // ---- Header ----
     const header = document.createElement('header');
 
@@ -43,10 +128,19 @@ function renderReport(container, report) {
     const dl = document.createElement('dl');
     dl.className = 'meta';
     const metaItems = [
+        ['Saved Snapshot', report.savedName || '—'],
         ['Saved Server', report.savedServer],
+        ['Current Snapshot', report.currentName || 'Live server'],
         ['Current Server', report.currentServer],
         ['Saved At', formatTimestamp(report.savedTimestamp)],
-        ['Compared At', formatTimestamp(report.timestamp)]
+        ['Current At', formatTimestamp(report.currentTimestamp)],
+        ['Compared At', formatTimestamp(report.timestamp)],
+        ['Global Fingerprints', globalFingerprintsLabel(report)],
+        ['Export Scope', scopeLabel(report)],
+        ['Skipped Namespaces', skippedNamespacesLabel(report)],
+        ['Not Supported', unsupportedLabel(report)],
+        ['Framework Versions', frameworkVersionsLabel(report)],
+        ['Risk Score', riskLabel(report)]
     ];
     for (const [label, value] of metaItems) {
         const dt = document.createElement('dt');
@@ -58,39 +152,1008 @@ function renderReport(container, report) {
     }
     header.appendChild(dl);
 
+    header.appendChild(renderExportToolbar(report));
+
+    if (canApplyFixes(report)) {
+        header.appendChild(renderFixToolbar(report));
+    }
+
     container.appendChild(header);
 
+    if (frameworkVersionsDiffer(report)) {
+        container.appendChild(renderVersionWarning(
+            `The snapshots were produced by different backend framework versions (${frameworkVersionsLabel(report)}).`
+        ));
+    }
+
+    const totalIgnored = report.totalIgnored || 0;
+
     // ---- Zero-diff shortcut ----
+    // Ignored differences still get their sections rendered so they
+    // never vanish silently.
     if (report.totalDifferences === 0) {
         const msg = document.createElement('p');
         msg.className = 'success banner';
-        msg.textContent = 'No differences found — servers are in sync.';
+        msg.textContent = totalIgnored > 0
+            ? `No differences found — servers are in sync (${totalIgnored} ignored).`
+            : 'No differences found — servers are in sync.';
         container.appendChild(msg);
-        return;
+        if (totalIgnored === 0) return;
+    } else {
+        // ---- Global summary ----
+        const summaryEl = document.createElement('section');
+        summaryEl.className = 'global-summary';
+        const h2 = document.createElement('h2');
+        h2.textContent = `${report.totalDifferences} difference${report.totalDifferences !== 1 ? 's' : ''} found`;
+        if (totalIgnored > 0) {
+            h2.textContent += ` (${totalIgnored} ignored)`;
+        }
+        summaryEl.appendChild(h2);
+        if (report.severityCounts) {
+            summaryEl.appendChild(renderSeveritySummary(report.severityCounts));
+        }
+        if (checklist.entries.length > 0) {
+            checklist.progress = document.createElement('div');
+            checklist.progress.className = 'checklist-progress';
+            updateChecklistProgress(checklist);
+            summaryEl.appendChild(checklist.progress);
+        }
+        container.appendChild(summaryEl);
+    }
+
+    // ---- Render each section, most severe first ----
+    const sectionsEl = document.createElement('div');
+    sectionsEl.className = 'report-sections';
+    for (const section of sortBySeverity(report.sections)) {
+        const sectionEl = renderSection(section, report, checklist);
+        sectionsEl.appendChild(sectionEl);
+    }
+    container.appendChild(sectionsEl);
+
+    header.appendChild(renderFilterToolbar(report, sectionsEl));
+}
+
+/**
+ * Warning shown when snapshots come from different framework versions:
+ * some differences may only reflect a changed export shape.
+ */
+function renderVersionWarning(text) {
+    const warning = document.createElement('p');
+    warning.className = 'warning banner';
+    warning.textContent = `${text} Some differences may come from the export format rather than ` +
+        'the servers: save both servers again with the same extension version to rule this out.';
+    return warning;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Matrix report                                                      */
+/* ------------------------------------------------------------------ */
+
+const MATRIX_CELL_TEXT = {
+    present: '✓',
+    absent: '—',
+    same: '=',
+    changed: 'changed',
+    missing: 'missing',
+    extra: 'extra',
+    ignored: 'ignored',
+    unavailable: 'n/a'
+};
+
+function renderMatrixReport(container, report) {
+    // ---- Header ----
+    const header = document.createElement('header');
+
+    const h1 = document.createElement('h1');
+    h1.textContent = 'Migration Comparison Matrix';
+    header.appendChild(h1);
+
+    const dl = document.createElement('dl');
+    dl.className = 'meta';
+    const metaItems = report.columns.map((column, index) => [
+        index === 0 ? 'Baseline' : `Snapshot ${index}`,
+        `${column.name || 'Live server'} — ${column.serverUrl} (${formatTimestamp(column.timestamp)})`
+    ]);
+    metaItems.push(['Compared At', formatTimestamp(report.timestamp)]);
+    for (const [label, value] of metaItems) {
+        const dt = document.createElement('dt');
+        dt.textContent = label;
+        const dd = document.createElement('dd');
+        dd.textContent = value;
+        dl.appendChild(dt);
+        dl.appendChild(dd);
+    }
+    header.appendChild(dl);
+
+    header.appendChild(renderExportToolbar(report));
+
+    container.appendChild(header);
+
+    const versions = new Set(report.columns.map(column => column.frameworkVersion || null));
+    if (versions.size > 1) {
+        const names = report.columns.map(column => column.frameworkVersion || 'unknown').join(', ');
+        container.appendChild(renderVersionWarning(
+            `The snapshots were produced by different backend framework versions (${names}).`
+        ));
     }
 
     // ---- Global summary ----
+    const totalIgnored = report.totalIgnored || 0;
     const summaryEl = document.createElement('section');
     summaryEl.className = 'global-summary';
     const h2 = document.createElement('h2');
-    h2.textContent = `${report.totalDifferences} difference${report.totalDifferences !== 1 ? 's' : ''} found`;
+    h2.textContent = report.totalDifferences === 0
+        ? 'No differences found — every snapshot matches the baseline.'
+        : `${report.totalDifferences} difference${report.totalDifferences !== 1 ? 's' : ''} found`;
+    if (totalIgnored > 0) {
+        h2.textContent += ` (${totalIgnored} ignored)`;
+    }
     summaryEl.appendChild(h2);
     container.appendChild(summaryEl);
 
-    // ---- Render each section ----
+    // ---- Sections with differing rows ----
     for (const section of report.sections) {
-        const sectionEl = renderSection(section);
-        container.appendChild(sectionEl);
+        if (section.rows.length === 0) continue;
+        container.appendChild(renderMatrixSection(section, report.columns));
+    }
+}
+
+function renderMatrixSection(section, columns) {
+    const wrapper = document.createElement('section');
+    wrapper.className = 'entity-section';
+
+    const details = document.createElement('details');
+
+    const summary = document.createElement('summary');
+    buildSectionHeader(summary, {
+        ...section,
+        label: section.parentId ? `${section.parentId} › ${section.label}` : section.label
+    });
+    details.appendChild(summary);
+
+    const body = document.createElement('div');
+    body.className = 'section-body';
+
+    const table = document.createElement('table');
+    table.className = 'matrix-table';
+
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    const labels = ['Entity', ...columns.map((c, i) => `${i === 0 ? '★ ' : ''}${c.name || 'Live server'}`)];
+    for (const text of labels) {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    }
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    for (const row of section.rows) {
+        const tr = document.createElement('tr');
+
+        const tdId = document.createElement('td');
+        tdId.className = 'prop-name';
+        tdId.textContent = row.id;
+        tr.appendChild(tdId);
+
+        for (const cell of row.cells) {
+            const td = document.createElement('td');
+            td.className = `matrix-cell ${cell.status}`;
+            td.textContent = MATRIX_CELL_TEXT[cell.status] || cell.status;
+            if (cell.differences) {
+                td.title = cell.differences
+                    .filter(diff => !diff.context)
+                    .map(diff => diff.property)
+                    .join(', ');
+            }
+            tr.appendChild(td);
+        }
+        tbody.appendChild(tr);
+
+        // Drill-down: property values per server
+        if (row.values) {
+            const detailRow = document.createElement('tr');
+            detailRow.className = 'matrix-detail';
+            detailRow.hidden = true;
+
+            const td = document.createElement('td');
+            td.colSpan = labels.length;
+            detailRow.appendChild(td);
+            tbody.appendChild(detailRow);
+
+            tr.classList.add('expandable');
+            tr.title = 'Show property values per server';
+            tr.addEventListener('click', () => {
+                if (!td.firstChild) {
+                    td.appendChild(renderMatrixValues(row, labels.slice(1)));
+                }
+                detailRow.hidden = !detailRow.hidden;
+                tr.classList.toggle('expanded', !detailRow.hidden);
+            });
+        }
+    }
+    table.appendChild(tbody);
+    body.appendChild(table);
+
+    if (section.inSync > 0) {
+        const syncEl = document.createElement('p');
+        syncEl.className = 'in-sync-msg';
+        syncEl.textContent =
+            `${section.inSync} other item${section.inSync !== 1 ? 's' : ''} in sync across all snapshots.`;
+        body.appendChild(syncEl);
+    }
+
+    details.appendChild(body);
+    wrapper.appendChild(details);
+    return wrapper;
+}
+
+/**
+ * Property × server table for one matrix row. Values that differ from
+ * the baseline are highlighted.
+ */
+function renderMatrixValues(row, columnLabels) {
+    const table = document.createElement('table');
+    table.className = 'prop-diff-table matrix-values';
+
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    for (const text of ['Property', ...columnLabels]) {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    }
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const properties = new Set();
+    for (const entity of row.values) {
+        for (const key of Object.keys(entity || {})) properties.add(key);
+    }
+
+    const tbody = document.createElement('tbody');
+    const baseline = row.values[0];
+
+    for (const property of [...properties].sort()) {
+        const tr = document.createElement('tr');
+
+        const tdProp = document.createElement('td');
+        tdProp.className = 'prop-name';
+        tdProp.textContent = property;
+        tr.appendChild(tdProp);
+
+        row.values.forEach((entity, index) => {
+            const td = document.createElement('td');
+            td.className = 'prop-value';
+            if (entity === null) {
+                td.classList.add('absent');
+                appendValueCell(td, undefined);
+            } else {
+                const value = entity[property];
+                if (index > 0 && JSON.stringify(value) !== JSON.stringify(baseline?.[property])) {
+                    td.classList.add('differs');
+                }
+                appendValueCell(td, value);
+            }
+            tr.appendChild(td);
+        });
+
+        tbody.appendChild(tr);
+    }
+
+    table.appendChild(tbody);
+    return table;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Export toolbar                                                     */
+/* ------------------------------------------------------------------ */
+
+function renderExportToolbar(report) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'report-toolbar';
+
+    const baseName = `migration-report-${(report.timestamp || '').slice(0, 10)}`;
+
+    const exports = report.mode === 'matrix'
+        ? [
+            ['Export CSV', async () => downloadFile(`${baseName}-matrix.csv`, matrixToCsv(report), 'text/csv')]
+        ]
+        : [
+            ['Export Markdown', async () => downloadFile(`${baseName}.md`, reportToMarkdown(report), 'text/markdown')],
+            ['Export CSV', async () => downloadFile(`${baseName}.csv`, reportToCsv(report), 'text/csv')],
+            ['Export HTML', async () => {
+                const css = await loadStylesheet();
+                downloadFile(`${baseName}.html`, reportToHtml(report, css), 'text/html');
+            }],
+            // Downloaded for review only — never executed by the extension
+            ['Remediation Script', async () => downloadFile(
+                `${ROUTINE_NAME}-${(report.timestamp || '').slice(0, 10)}.mac`,
+                generateRemediationScript(report),
+                'text/plain'
+            )]
+        ];
+
+    for (const [text, action] of exports) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn-secondary btn-small';
+        btn.textContent = text;
+        btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            try {
+                await action();
+            } catch (err) {
+                alert(`Export failed: ${err.message}`);
+            } finally {
+                btn.disabled = false;
+            }
+        });
+        toolbar.appendChild(btn);
+    }
+
+    return toolbar;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Severity                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * One colored chip per severity level that has differences.
+ */
+function renderSeveritySummary(counts) {
+    const list = document.createElement('p');
+    list.className = 'severity-summary';
+
+    for (const level of SEVERITIES) {
+        if (!counts[level]) continue;
+        const chip = document.createElement('span');
+        chip.className = `severity-badge ${level}`;
+        chip.textContent = `${counts[level]} ${level}`;
+        list.appendChild(chip);
+    }
+
+    return list;
+}
+
+/**
+ * Tag an element with a severity for coloring and the "Critical only"
+ * filter, optionally adding a visible badge.
+ */
+function markSeverity(element, severity, withBadge = true) {
+    if (!element || !severity) return;
+
+    element.dataset.severity = severity;
+
+    if (withBadge) {
+        const badge = document.createElement('span');
+        badge.className = `severity-badge ${severity}`;
+        badge.textContent = severity;
+        element.appendChild(badge);
+    }
+}
+
+/**
+ * Copy of `items` ordered most severe first; equal levels keep their order.
+ */
+function sortBySeverity(items) {
+    return [...items].sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+}
+
+/* ------------------------------------------------------------------ */
+/*  Filter toolbar                                                     */
+/* ------------------------------------------------------------------ */
+
+const KIND_LABELS = {
+    missing: 'Missing',
+    extra: 'Extra',
+    changed: 'Changed',
+    'in-sync': 'In sync'
+};
+
+/**
+ * Tag a rendered difference (or in-sync summary) so the toolbar can
+ * filter and sort it.
+ */
+function tagItem(element, section, kind, name, search, namespace = section.parentId || '') {
+    element.classList.add('report-item');
+    element.dataset.section = section.key;
+    element.dataset.namespace = namespace;
+    element.dataset.kind = kind;
+    element.dataset.name = String(name);
+    element.dataset.search = String(search).toLowerCase();
+    element.dataset.count ??= '1';
+}
+
+/**
+ * Text a missing / extra entity is searched by: its id, property names
+ * and values.
+ */
+function entitySearchText(id, entity) {
+    const props = Object.entries(entity || {}).map(([key, value]) => `${key} ${formatPropValue(value)}`);
+    return [id, ...props].join(' ');
+}
+
+/**
+ * Build the search / filter / sort toolbar and apply the filter from the
+ * URL hash. Every change rewrites the hash; editing the hash by hand (or
+ * reopening a bookmarked view) re-applies it.
+ */
+function renderFilterToolbar(report, root) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'report-toolbar report-filters';
+
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.placeholder = 'Search ids, properties and values';
+    search.setAttribute('aria-label', 'Search the report');
+    toolbar.appendChild(search);
+
+    const kindBoxes = new Map();
+    for (const kind of FILTER_KINDS) {
+        const label = document.createElement('label');
+        label.className = 'filter-check';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        label.appendChild(box);
+        label.appendChild(document.createTextNode(` ${KIND_LABELS[kind]}`));
+        toolbar.appendChild(label);
+        kindBoxes.set(kind, box);
+    }
+
+    const items = [...root.querySelectorAll('.report-item')];
+
+    const sectionSelect = buildSelect('Section', 'All sections',
+        [...new Set(items.map(el => el.dataset.section))]
+            .map(key => [key, findConfig(key)?.label || key])
+            .sort((a, b) => a[1].localeCompare(b[1])));
+    toolbar.appendChild(sectionSelect);
+
+    const namespaceSelect = buildSelect('Namespace', 'All namespaces',
+        [...new Set(items.map(el => el.dataset.namespace).filter(Boolean))]
+            .sort()
+            .map(ns => [ns, ns]));
+    toolbar.appendChild(namespaceSelect);
+
+    const sortSelect = buildSelect('Sort by', null, SORT_ORDERS.map(([value, label]) => [value, `Sort: ${label}`]));
+    toolbar.appendChild(sortSelect);
+
+    const criticalLabel = document.createElement('label');
+    criticalLabel.className = 'filter-check';
+    const criticalBox = document.createElement('input');
+    criticalBox.type = 'checkbox';
+    criticalLabel.appendChild(criticalBox);
+    criticalLabel.appendChild(document.createTextNode(' Critical only'));
+    // Reports made before severities have nothing to filter on
+    if (report.severityCounts) {
+        toolbar.appendChild(criticalLabel);
+    }
+
+    for (const [text, open] of [['Expand All', true], ['Collapse All', false]]) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn-secondary btn-small';
+        btn.textContent = text;
+        btn.addEventListener('click', () => {
+            for (const details of root.querySelectorAll('.entity-section > details')) {
+                details.open = open;
+            }
+        });
+        toolbar.appendChild(btn);
+    }
+
+    const noMatch = document.createElement('p');
+    noMatch.className = 'in-sync-msg filter-no-match';
+    noMatch.textContent = 'No differences match the filters.';
+
+    const showFilter = (filter) => {
+        search.value = filter.query;
+        for (const [kind, box] of kindBoxes) box.checked = filter.kinds.includes(kind);
+        sectionSelect.value = filter.section;
+        namespaceSelect.value = filter.namespace;
+        sortSelect.value = filter.sort;
+        criticalBox.checked = filter.criticalOnly;
+    };
+
+    const readFilter = () => ({
+        query: search.value,
+        kinds: FILTER_KINDS.filter(kind => kindBoxes.get(kind).checked),
+        section: sectionSelect.value,
+        namespace: namespaceSelect.value,
+        sort: sortSelect.value,
+        criticalOnly: criticalBox.checked
+    });
+
+    const apply = (filter) => {
+        sortReport(root, filter.sort);
+        const visible = applyFilter(root, filter);
+        noMatch.remove();
+        if (!visible) root.appendChild(noMatch);
+    };
+
+    const onChange = () => {
+        const filter = readFilter();
+        const hash = filterToHash(filter);
+        history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+        apply(filter);
+    };
+
+    search.addEventListener('input', onChange);
+    for (const control of [...kindBoxes.values(), sectionSelect, namespaceSelect, sortSelect, criticalBox]) {
+        control.addEventListener('change', onChange);
+    }
+
+    window.addEventListener('hashchange', () => {
+        const filter = parseFilterHash(location.hash);
+        showFilter(filter);
+        apply(filter);
+    });
+
+    const initial = parseFilterHash(location.hash);
+    showFilter(initial);
+    apply(initial);
+
+    return toolbar;
+}
+
+function buildSelect(label, emptyText, options) {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', label);
+
+    if (emptyText !== null) {
+        options = [['', emptyText], ...options];
+    }
+
+    for (const [value, text] of options) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    }
+
+    return select;
+}
+
+/**
+ * Show the report items passing the filter, and the groups and sections
+ * that still hold one. Sections are opened while searching so matches
+ * are visible.
+ *
+ * @returns {boolean} Whether anything is left visible
+ */
+function applyFilter(root, filter) {
+    for (const item of root.querySelectorAll('.report-item')) {
+        let visible = matchesFilter(item.dataset, filter);
+
+        // Changed entity: the query may match its id or single properties
+        const rows = item.querySelectorAll('tr.report-row');
+        if (rows.length > 0) {
+            const structural = matchesFilter(item.dataset, filter, true);
+            let anyRow = false;
+            for (const row of rows) {
+                const rowVisible = structural
+                    && (visible || matchesQuery(row.dataset.search, filter.query))
+                    && (!filter.criticalOnly || row.dataset.severity === 'critical');
+                row.classList.toggle('filtered-out', !rowVisible);
+                anyRow = anyRow || rowVisible;
+            }
+            visible = anyRow;
+        }
+
+        item.classList.toggle('filtered-out', !visible);
+    }
+
+    const filtering = isFiltering(filter);
+    const hasVisible = el => el.querySelector('.report-item:not(.filtered-out)') !== null;
+
+    for (const group of root.querySelectorAll('.diff-group')) {
+        if (group.parentElement.closest('.diff-group.ignored')) continue;
+        const hidden = group.classList.contains('ignored') ? filtering : !hasVisible(group);
+        group.classList.toggle('filtered-out', hidden);
+    }
+
+    for (const block of root.querySelectorAll('.child-parent-block, .entity-section')) {
+        const visible = hasVisible(block);
+        block.classList.toggle('filtered-out', !visible);
+
+        if (visible && filter.query.trim() && block.matches('.entity-section')) {
+            block.querySelector(':scope > details').open = true;
+        }
+    }
+
+    return hasVisible(root);
+}
+
+/**
+ * Reorder sections and items. 'severity' restores the rendered order.
+ */
+function sortReport(root, sort) {
+    const compareFn = {
+        severity: (a, b) => a.dataset.order - b.dataset.order,
+        name: (a, b) => a.dataset.name.localeCompare(b.dataset.name) || a.dataset.order - b.dataset.order,
+        count: (a, b) => b.dataset.count - a.dataset.count || a.dataset.order - b.dataset.order
+    }[sort];
+
+    const containers = [root, ...root.querySelectorAll('.child-parent-block, .entity-card-list, .diff-group.changed')];
+    for (const container of containers) {
+        const children = [...container.children].filter(el => el.matches('.entity-section, .report-item'));
+        if (children.length < 2) continue;
+
+        children.forEach((el, index) => {
+            el.dataset.order ??= String(index);
+        });
+        for (const el of children.sort(compareFn)) {
+            container.appendChild(el);
+        }
+    }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Checklist                                                          */
+/* ------------------------------------------------------------------ */
+
+function entityItemKey(section, entityId, property = '') {
+    return checklistItemKey({ sectionKey: section.key, parent: section.parentId, entity: entityId, property });
+}
+
+/**
+ * Add a "Checklist" column to a property diff table, with controls on
+ * every row but the context ones.
+ */
+function attachChecklistColumn(table, checklist, section, entity) {
+    const th = document.createElement('th');
+    th.textContent = 'Checklist';
+    table.querySelector('thead tr').appendChild(th);
+
+    const rows = table.querySelectorAll('tbody tr');
+    entity.differences.forEach((diff, index) => {
+        const td = document.createElement('td');
+        td.className = 'checklist-cell';
+        if (!diff.context) {
+            td.appendChild(renderChecklistControls(checklist, entityItemKey(section, entity.id, diff.property)));
+        }
+        rows[index].appendChild(td);
+    });
+}
+
+/**
+ * Status select plus a collapsible note / assignee editor for one
+ * difference. Every change is stored immediately.
+ */
+function renderChecklistControls(checklist, key) {
+    const state = { ...DEFAULT_CHECKLIST_STATE, ...checklist.states[key] };
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'checklist-controls';
+    wrapper.dataset.status = state.status;
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', 'Checklist status');
+    for (const [value, text] of CHECKLIST_STATUSES) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    }
+    select.value = state.status;
+    wrapper.appendChild(select);
+
+    const details = document.createElement('details');
+    details.className = 'checklist-note';
+
+    const summary = document.createElement('summary');
+    details.appendChild(summary);
+
+    const assignee = document.createElement('input');
+    assignee.type = 'text';
+    assignee.placeholder = 'Assignee';
+    assignee.value = state.assignee;
+    details.appendChild(assignee);
+
+    const note = document.createElement('textarea');
+    note.placeholder = 'Note';
+    note.rows = 2;
+    note.value = state.note;
+    details.appendChild(note);
+
+    wrapper.appendChild(details);
+
+    const updateSummary = () => {
+        const parts = [assignee.value.trim() && `@${assignee.value.trim()}`, note.value.trim() && 'note']
+            .filter(Boolean);
+        summary.textContent = parts.length > 0 ? parts.join(' · ') : 'Add note';
+    };
+    updateSummary();
+
+    const save = () => {
+        const next = { status: select.value, note: note.value.trim(), assignee: assignee.value.trim() };
+        const stored = isDefaultState(next) ? null : next;
+
+        if (stored) {
+            checklist.states[key] = stored;
+        } else {
+            delete checklist.states[key];
+        }
+        wrapper.dataset.status = next.status;
+        updateSummary();
+        updateChecklistProgress(checklist);
+
+        // Saves are chained: each one rewrites the pair's stored states
+        checklist.pending = (checklist.pending || Promise.resolve())
+            .then(() => saveChecklistItem(checklist.pairKey, key, stored))
+            .catch(err => alert(`Could not save the checklist: ${err.message}`));
+    };
+
+    select.addEventListener('change', save);
+    assignee.addEventListener('change', save);
+    note.addEventListener('change', save);
+
+    return wrapper;
+}
+
+function updateChecklistProgress(checklist) {
+    const container = checklist.progress;
+    if (!container) return;
+
+    const { total, resolved, percent, byStatus } = checklistProgress(checklist.entries, checklist.states);
+
+    const bar = document.createElement('progress');
+    bar.max = total;
+    bar.value = resolved;
+
+    const text = document.createElement('span');
+    const breakdown = CHECKLIST_STATUSES
+        .filter(([status]) => status !== 'todo' && byStatus[status] > 0)
+        .map(([status, label]) => `${byStatus[status]} ${label.toLowerCase()}`);
+    text.textContent = `Checklist: ${resolved} of ${total} resolved (${percent}%)` +
+        (breakdown.length > 0 ? ` — ${breakdown.join(', ')}` : '');
+
+    container.replaceChildren(bar, text);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Apply fixes                                                        */
+/* ------------------------------------------------------------------ */
+
+const FIX_STATUS_TEXT = {
+    ready: 'ready',
+    blocked: 'blocked',
+    applied: 'applied',
+    failed: 'failed'
+};
+
+/**
+ * Fixes go to the current server, so it must be a live server URL —
+ * not a snapshot imported from a file.
+ */
+function canApplyFixes(report) {
+    return /^https?:\/\//i.test(report.currentServer || '');
+}
+
+/**
+ * Item ids of the fixable entities of a top-level section.
+ */
+function fixableIds(section, report) {
+    if (section.parentId || !FIXABLE_SECTIONS.includes(section.key) || !canApplyFixes(report)) {
+        return new Set();
+    }
+    return new Set(buildFixes({ sections: [section] }).map(item => item.itemId));
+}
+
+/**
+ * Add a "fix" checkbox and the last recorded outcome to an entity card
+ * or property diff header.
+ */
+function attachFixControls(element, report, fixIds, itemId) {
+    if (!element || !fixIds.has(itemId)) return;
+
+    const label = document.createElement('label');
+    label.className = 'fix-select';
+    label.title = 'Select to apply this fix to the current server';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = itemId;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(' fix'));
+
+    const badge = document.createElement('span');
+    badge.className = 'fix-status';
+    badge.dataset.fixId = itemId;
+    updateFixBadge(badge, report.fixResults?.[itemId]);
+
+    element.appendChild(label);
+    element.appendChild(badge);
+}
+
+function updateFixBadge(badge, result) {
+    badge.hidden = !result;
+    if (!result) return;
+
+    badge.className = `fix-status ${result.status}`;
+    badge.textContent = FIX_STATUS_TEXT[result.status] || result.status;
+    badge.title = result.appliedAt
+        ? `${result.message} (${formatTimestamp(result.appliedAt)})`
+        : result.message;
+}
+
+function renderFixToolbar(report) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'report-toolbar';
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn-small';
+    btn.textContent = 'Apply Selected Fixes';
+    toolbar.appendChild(btn);
+
+    const status = document.createElement('span');
+    status.className = 'fix-toolbar-status';
+    status.setAttribute('aria-live', 'polite');
+    toolbar.appendChild(status);
+
+    btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        status.className = 'fix-toolbar-status';
+        try {
+            status.textContent = await handleApplyFixes(report, text => { status.textContent = text; });
+        } catch (err) {
+            status.className = 'fix-toolbar-status error';
+            status.textContent = `Apply failed: ${err.message}`;
+        } finally {
+            btn.disabled = false;
+        }
+    });
+
+    return toolbar;
+}
+
+/**
+ * Preview the ticked fixes on the current server (dry run), ask for
+ * consent, apply the ones that are ready and record every outcome in
+ * the stored report.
+ *
+ * @returns {Promise<string>} Summary for the toolbar status
+ */
+async function handleApplyFixes(report, onProgress) {
+    const checked = [...document.querySelectorAll('.fix-select input:checked')];
+    const selected = new Set(checked.map(input => input.value));
+    const items = buildFixes(report).filter(item => selected.has(item.itemId));
+
+    if (items.length === 0) {
+        return 'Tick the missing or changed entities to fix first.';
+    }
+
+    const server = report.currentServer;
+    await ensureHostPermissions(server);
+    const { backendSetup } = await loadSettings();
+
+    onProgress('Checking fixes on the server…');
+    const preview = await applyFixes(server, items, { dryRun: true, appPath: backendSetup.appPath });
+
+    const confirmed = await showFixDialog(server, items, preview);
+    if (!confirmed) {
+        return 'Cancelled — nothing was changed.';
+    }
+
+    const readyIds = new Set(preview.filter(r => r.status === 'ready').map(r => r.itemId));
+    const ready = items.filter(item => readyIds.has(item.itemId));
+
+    onProgress(`Applying ${ready.length} fix${ready.length !== 1 ? 'es' : ''}…`);
+    const results = await applyFixes(server, ready, { appPath: backendSetup.appPath });
+
+    const appliedAt = new Date().toISOString();
+    report.fixResults = report.fixResults || {};
+    for (const result of results) {
+        report.fixResults[result.itemId] = { status: result.status, message: result.message, appliedAt };
+    }
+    await saveReport(report);
+
+    for (const result of results) {
+        for (const badge of document.querySelectorAll('.fix-status')) {
+            if (badge.dataset.fixId === result.itemId) {
+                updateFixBadge(badge, report.fixResults[result.itemId]);
+            }
+        }
+        if (result.status === 'applied') {
+            const input = checked.find(el => el.value === result.itemId);
+            if (input) input.checked = false;
+        }
+    }
+
+    const applied = results.filter(r => r.status === 'applied').length;
+    const failed = results.length - applied;
+    return `${applied} applied, ${failed} failed, ${items.length - ready.length} skipped. ` +
+        'Compare again to confirm the server is in sync.';
+}
+
+/**
+ * Show the dry-run outcome of each fix and wait for the user's decision.
+ * The confirm button is disabled when no fix can be applied.
+ *
+ * @returns {Promise<boolean>}
+ */
+function showFixDialog(server, items, preview) {
+    const overlay = document.getElementById('fix-overlay');
+    const list = document.getElementById('fix-preview-list');
+    const confirmBtn = document.getElementById('fix-confirm');
+    const cancelBtn = document.getElementById('fix-cancel');
+
+    document.getElementById('fix-server').textContent = server;
+
+    const byId = new Map(preview.map(result => [result.itemId, result]));
+    list.replaceChildren();
+    for (const item of items) {
+        const result = byId.get(item.itemId) || { status: 'blocked', message: 'No answer from the server' };
+
+        const li = document.createElement('li');
+
+        const badge = document.createElement('span');
+        badge.className = `fix-status ${result.status}`;
+        badge.textContent = FIX_STATUS_TEXT[result.status] || result.status;
+        li.appendChild(badge);
+
+        const what = document.createElement('strong');
+        what.textContent = ` ${item.action === 'create' ? 'Create' : 'Update'} ${item.section} › ${item.id}`;
+        li.appendChild(what);
+
+        li.appendChild(document.createTextNode(` — ${result.message}`));
+        list.appendChild(li);
+    }
+
+    const readyCount = preview.filter(r => r.status === 'ready').length;
+    confirmBtn.disabled = readyCount === 0;
+    confirmBtn.textContent = `Apply ${readyCount} fix${readyCount !== 1 ? 'es' : ''}`;
+
+    return new Promise((resolve) => {
+        overlay.classList.remove('hidden');
+
+        function cleanup() {
+            overlay.classList.add('hidden');
+            confirmBtn.removeEventListener('click', onConfirm);
+            cancelBtn.removeEventListener('click', onCancel);
+        }
+
+        function onConfirm() {
+            cleanup();
+            resolve(true);
+        }
+
+        function onCancel() {
+            cleanup();
+            resolve(false);
+        }
+
+        confirmBtn.addEventListener('click', onConfirm);
+        cancelBtn.addEventListener('click', onCancel);
+    });
+}
+
+/**
+ * Fetch the extension stylesheet so it can be inlined into HTML exports.
+ */
+async function loadStylesheet() {
+    const response = await fetch('styles.css');
+    if (!response.ok) {
+        throw new Error('Could not load styles.css from the extension bundle.');
     }
+    return response.text();
 }
 
 /* ------------------------------------------------------------------ */
 /*  Section rendering                                                  */
 /* ------------------------------------------------------------------ */
 
-function renderSection(section) {
+function renderSection(section, report, checklist) {
     const wrapper = document.createElement('section');
     wrapper.className = 'entity-section';
+    wrapper.dataset.name = section.label;
+    wrapper.dataset.count = section.totalDifferences;
+    if (section.severityCounts) {
+        wrapper.dataset.severity = section.severity || 'none';
+    }
 
     // Collapsible header
     const details = document.createElement('details');
@@ -103,15 +1166,26 @@ function renderSection(section) {
     const body = document.createElement('div');
     body.className = 'section-body';
 
-    if (section.totalDifferences === 0) {
+    if (section.unsupportedBy) {
+        const msg = document.createElement('p');
+        msg.className = 'in-sync-msg';
+        msg.textContent = `${unsupportedText(section)} — not compared.`;
+        tagItem(msg, section, 'in-sync', section.label, '');
+        body.appendChild(msg);
+    } else if (section.totalDifferences === 0) {
         const msg = document.createElement('p');
         msg.className = 'in-sync-msg';
         msg.textContent = 'All items are in sync.';
+        tagItem(msg, section, 'in-sync', section.label, '');
         body.appendChild(msg);
-    } else if (section.strategy === 'entity') {
-        renderEntityBody(body, section);
-    } else {
-        renderFlatBody(body, section);
+    }
+
+    if (section.totalDifferences > 0 || section.totalIgnored > 0) {
+        if (section.strategy === 'entity') {
+            renderEntityBody(body, section, report, checklist);
+        } else {
+            renderFlatBody(body, section, checklist);
+        }
     }
 
     details.appendChild(body);
@@ -128,43 +1202,84 @@ function buildSectionHeader(container, section) {
     container.appendChild(document.createTextNode(' '));
 
     const badge = document.createElement('span');
-    if (section.totalDifferences > 0) {
+    if (section.unsupportedBy) {
+        badge.className = 'section-badge unsupported';
+        badge.textContent = 'not supported';
+        badge.title = unsupportedText(section);
+    } else if (section.totalDifferences > 0) {
         badge.className = 'section-badge diff';
         badge.textContent = section.totalDifferences;
+        if (section.severity) {
+            badge.classList.add(`severity-${section.severity}`);
+            badge.title = `Most severe: ${section.severity}`;
+        }
     } else {
         badge.className = 'section-badge sync';
         badge.textContent = '✓';
     }
     container.appendChild(badge);
+
+    if (section.totalIgnored > 0) {
+        const ignoredBadge = document.createElement('span');
+        ignoredBadge.className = 'section-badge ignored';
+        ignoredBadge.textContent = `${section.totalIgnored} ignored`;
+        container.appendChild(ignoredBadge);
+    }
 }
 
 /* ------------------------------------------------------------------ */
 /*  Entity strategy body                                               */
 /* ------------------------------------------------------------------ */
 
-function renderEntityBody(body, section) {
+function renderEntityBody(body, section, report, checklist) {
+    const fixIds = fixableIds(section, report);
+
+    // Entities of a section with children (e.g. namespaces) are namespaces themselves
+    const namespaceOf = findConfig(section.key)?.children ? id => String(id) : () => section.parentId || '';
+
     // Missing entities
     if (section.missing.length > 0) {
-        body.appendChild(renderEntityList(
+        const missing = sortBySeverity(section.missing);
+        const list = renderEntityList(
             'Missing in Current Server',
             'missing',
-            section.missing.map(m => m.entity),
+            missing.map(m => m.entity),
             true
-        ));
+        );
+        const cards = list.querySelectorAll('.entity-card');
+        missing.forEach((item, index) => {
+            tagItem(cards[index], section, 'missing', item.id, entitySearchText(item.id, item.entity),
+                namespaceOf(item.id));
+            markSeverity(cards[index], item.severity);
+            attachFixControls(cards[index], report, fixIds, `${section.key}:${item.id}`);
+            cards[index].appendChild(renderChecklistControls(checklist, entityItemKey(section, item.id)));
+        });
+        markSeverity(list, highestSeverity(missing.map(m => m.severity)), false);
+        body.appendChild(list);
     }
 
     // Extra entities
     if (section.extra.length > 0) {
-        body.appendChild(renderEntityList(
+        const extra = sortBySeverity(section.extra);
+        const list = renderEntityList(
             'Extra in Current Server',
             'extra',
-            section.extra.map(e => e.entity),
+            extra.map(e => e.entity),
             true
-        ));
+        );
+        const cards = list.querySelectorAll('.entity-card');
+        extra.forEach((item, index) => {
+            tagItem(cards[index], section, 'extra', item.id, entitySearchText(item.id, item.entity),
+                namespaceOf(item.id));
+            markSeverity(cards[index], item.severity);
+            cards[index].appendChild(renderChecklistControls(checklist, entityItemKey(section, item.id)));
+        });
+        markSeverity(list, highestSeverity(extra.map(e => e.severity)), false);
+        body.appendChild(list);
     }
 
     // Matched entities with property diffs
-    const changed = section.matched.filter(m => m.differences.length > 0);
+    const changed = sortBySeverity(section.matched.filter(m => m.differences.length > 0));
     if (changed.length > 0) {
         const changedSection = document.createElement('div');
         changedSection.className = 'diff-group changed';
@@ -173,9 +1288,30 @@ function renderEntityBody(body, section) {
         h4.textContent = `Changed Properties (${changed.length})`;
         changedSection.appendChild(h4);
 
+        // Documents whose source can be diffed live in a namespace
+        const sourceDiff = section.parentId && findConfig(section.key)?.sourceDiff
+            ? { report, namespace: section.parentId }
+            : null;
+
         for (const entity of changed) {
-            changedSection.appendChild(renderPropertyDiffTable(entity));
+            const table = renderPropertyDiffTable(entity, sourceDiff);
+            tagItem(table, section, 'changed', entity.id, String(entity.id), namespaceOf(entity.id));
+            table.dataset.count = entity.differences.filter(diff => !diff.context).length;
+            table.querySelectorAll('tbody tr').forEach((tr, index) => {
+                const diff = entity.differences[index];
+                tr.classList.add('report-row');
+                tr.dataset.search = [diff.property, formatPropValue(diff.saved), formatPropValue(diff.current)]
+                    .join(' ')
+                    .toLowerCase();
+            });
+            markSeverity(table, entity.severity, false);
+            markSeverity(table.querySelector('.prop-diff-header'), entity.severity);
+            attachFixControls(table.querySelector('.prop-diff-header'), report, fixIds,
+                `${section.key}:${entity.id}`);
+            attachChecklistColumn(table, checklist, section, entity);
+            changedSection.appendChild(table);
         }
+        markSeverity(changedSection, highestSeverity(changed.map(m => m.severity)), false);
 
         body.appendChild(changedSection);
     }
@@ -186,9 +1322,15 @@ function renderEntityBody(body, section) {
         const syncEl = document.createElement('p');
         syncEl.className = 'in-sync-msg';
         syncEl.textContent = `${inSync.length} item${inSync.length !== 1 ? 's' : ''} in sync: ${inSync.map(m => m.id).join(', ')}`;
+        tagItem(syncEl, section, 'in-sync', section.label, inSync.map(m => m.id).join(' '));
         body.appendChild(syncEl);
     }
 
+    // Differences matched by ignore rules
+    if (section.ignored && countIgnored(section.ignored) > 0) {
+        body.appendChild(renderIgnoredGroup(section));
+    }
+
     // Child sections (e.g. namespace children)
     if (section.childSections && section.childSections.length > 0) {
         const childWrapper = document.createElement('div');
@@ -200,14 +1342,18 @@ function renderEntityBody(body, section) {
         for (const [parentId, childSections] of grouped) {
             const parentBlock = document.createElement('div');
             parentBlock.className = 'child-parent-block';
+            parentBlock.dataset.namespace = parentId;
+            if (section.severityCounts) {
+                parentBlock.dataset.severity = highestSeverity(childSections.map(c => c.severity)) || 'none';
+            }
 
             const parentHeader = document.createElement('h4');
             parentHeader.className = 'child-parent-header';
             parentHeader.textContent = `Namespace: ${parentId}`;
             parentBlock.appendChild(parentHeader);
 
-            for (const child of childSections) {
-                parentBlock.appendChild(renderSection(child));
+            for (const child of sortBySeverity(childSections)) {
+                parentBlock.appendChild(renderSection(child, report, checklist));
             }
 
             childWrapper.appendChild(parentBlock);
@@ -221,22 +1367,79 @@ function renderEntityBody(body, section) {
 /*  Flat strategy body                                                 */
 /* ------------------------------------------------------------------ */
 
-function renderFlatBody(body, section) {
-    if (section.missing.length > 0) {
-        body.appendChild(renderEntityList(
+function renderFlatBody(body, section, checklist) {
+    // Flat items are not tagged: their severity only depends on the kind
+    const config = section.severityCounts ? findConfig(section.key) : null;
+
+    for (const [kind, title] of [['missing', 'Missing in Current Server'], ['extra', 'Extra in Current Server']]) {
+        if (section[kind].length === 0) continue;
+
+        const list = renderEntityList(title, kind, section[kind]);
+        if (config) markSeverity(list, severityOf(config, kind), false);
+
+        // Flat items have no id: their checklist keys follow the report's item order
+        const keys = checklist.entries
+            .filter(({ row }) => row.sectionKey === section.key && row.parent === (section.parentId || '')
+                && row.kind === kind)
+            .map(entry => entry.key);
+        list.querySelectorAll('.entity-card').forEach((card, index) => {
+            tagItem(card, section, kind, card.textContent, card.textContent);
+            if (config) card.dataset.severity = severityOf(config, kind);
+            if (keys[index]) card.appendChild(renderChecklistControls(checklist, keys[index]));
+        });
+
+        body.appendChild(list);
+    }
+
+    if (section.ignored && countIgnored(section.ignored) > 0) {
+        body.appendChild(renderIgnoredGroup(section));
+    }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Ignored differences                                                */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Render the differences matched by ignore rules in a collapsed group.
+ * Child-section ignores are rendered inside their own child section.
+ */
+function renderIgnoredGroup(section) {
+    const { missing, extra, differences } = section.ignored;
+    const count = countIgnored(section.ignored);
+
+    const details = document.createElement('details');
+    details.className = 'diff-group ignored';
+
+    const summary = document.createElement('summary');
+    summary.textContent = `Ignored (${count})`;
+    details.appendChild(summary);
+
+    const isEntity = section.strategy === 'entity';
+
+    if (missing.length > 0) {
+        details.appendChild(renderEntityList(
             'Missing in Current Server',
             'missing',
-            section.missing
+            isEntity ? missing.map(m => m.entity) : missing,
+            isEntity
         ));
     }
 
-    if (section.extra.length > 0) {
-        body.appendChild(renderEntityList(
+    if (extra.length > 0) {
+        details.appendChild(renderEntityList(
             'Extra in Current Server',
             'extra',
-            section.extra
+            isEntity ? extra.map(e => e.entity) : extra,
+            isEntity
         ));
     }
+
+    for (const [id, diffs] of groupBy(differences, 'id')) {
+        details.appendChild(renderPropertyDiffTable({ id, differences: diffs }));
+    }
+
+    return details;
 }
 
 /* ------------------------------------------------------------------ */
@@ -295,8 +1498,10 @@ function renderEntityList(title, type, entities, idOnly = false) {
 
 /**
  * Render a per-entity property diff table.
+ * With `sourceDiff` ({ report, namespace }), the header gets a toggle
+ * that loads a line diff of the entity's source.
  */
-function renderPropertyDiffTable(entity) {
+function renderPropertyDiffTable(entity, sourceDiff = null) {
     const wrapper = document.createElement('div');
     wrapper.className = 'prop-diff-block';
 
@@ -305,6 +1510,10 @@ function renderPropertyDiffTable(entity) {
     header.textContent = entity.id;
     wrapper.appendChild(header);
 
+    if (sourceDiff) {
+        attachSourceDiffToggle(wrapper, header, sourceDiff.report, sourceDiff.namespace, entity.id);
+    }
+
     const table = document.createElement('table');
     table.className = 'prop-diff-table';
 
@@ -322,10 +1531,20 @@ function renderPropertyDiffTable(entity) {
 
     for (const diff of entity.differences) {
         const tr = document.createElement('tr');
+        if (diff.context) {
+            // Shown for reference only (e.g. class timestamps)
+            tr.className = 'context-row';
+            tr.title = 'Shown for context — not counted as a difference';
+        }
+        markSeverity(tr, diff.severity, false);
 
         const tdProp = document.createElement('td');
         tdProp.className = 'prop-name';
-        tdProp.textContent = diff.property;
+        if (diff.collection) {
+            appendCollectionItemCell(tdProp, diff);
+        } else {
+            tdProp.textContent = diff.property;
+        }
         tr.appendChild(tdProp);
 
         const tdSaved = document.createElement('td');
@@ -346,10 +1565,165 @@ function renderPropertyDiffTable(entity) {
     return wrapper;
 }
 
+/* ------------------------------------------------------------------ */
+/*  Source diff                                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Add a "Show source diff" button to a property diff header. The source
+ * is fetched from both servers on first click; later clicks only toggle
+ * the panel. A failed load can be retried.
+ */
+function attachSourceDiffToggle(wrapper, header, report, namespace, docName) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn-secondary btn-small source-diff-btn';
+    btn.textContent = 'Show source diff';
+    header.appendChild(btn);
+
+    let panel = null;
+
+    btn.addEventListener('click', async () => {
+        if (panel) {
+            panel.hidden = !panel.hidden;
+            btn.textContent = panel.hidden ? 'Show source diff' : 'Hide source diff';
+            return;
+        }
+
+        btn.disabled = true;
+        btn.textContent = 'Loading…';
+
+        const container = document.createElement('div');
+        container.className = 'source-diff';
+
+        try {
+            const [savedLines, currentLines] = await loadSources(report, namespace, docName);
+            renderSourceDiff(container, savedLines, currentLines);
+            panel = container;
+            btn.textContent = 'Hide source diff';
+        } catch (err) {
+            const p = document.createElement('p');
+            p.className = 'error';
+            p.textContent = `Could not load source diff: ${err.message}`;
+            container.appendChild(p);
+            btn.textContent = 'Retry source diff';
+        } finally {
+            btn.disabled = false;
+        }
+
+        wrapper.querySelector(':scope > .source-diff')?.remove();
+        wrapper.appendChild(container);
+    });
+}
+
+/**
+ * Fetch a document from the saved and the current server.
+ * @returns {Promise<[string[], string[]]>}
+ */
+async function loadSources(report, namespace, docName) {
+    const servers = [report.savedServer, report.currentServer];
+
+    for (const server of servers) {
+        if (!/^https?:\/\//i.test(server || '')) {
+            throw new Error(
+                `${server || 'A snapshot'} is not a reachable server (snapshot imported from a file).`
+            );
+        }
+    }
+
+    for (const server of new Set(servers)) {
+        await ensureHostPermissions(server);
+    }
+
+    return Promise.all(servers.map(server => fetchDocument(server, namespace, docName)));
+}
+
+/**
+ * Render hunks of a line diff as a table with old / new line numbers.
+ */
+function renderSourceDiff(container, savedLines, currentLines) {
+    const hunks = toHunks(diffLines(savedLines, currentLines));
+
+    if (hunks.length === 0) {
+        const msg = document.createElement('p');
+        msg.className = 'in-sync-msg';
+        msg.textContent = 'The source is currently identical on both servers.';
+        container.appendChild(msg);
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'source-diff-table';
+    const tbody = document.createElement('tbody');
+
+    for (const hunk of hunks) {
+        const headerRow = document.createElement('tr');
+        headerRow.className = 'hunk-header';
+        const td = document.createElement('td');
+        td.colSpan = 3;
+        td.textContent =
+            `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+        headerRow.appendChild(td);
+        tbody.appendChild(headerRow);
+
+        for (const line of hunk.lines) {
+            const tr = document.createElement('tr');
+            tr.className = `line-${line.type}`;
+
+            const oldNo = document.createElement('td');
+            oldNo.className = 'line-no';
+            oldNo.textContent = line.oldNo ?? '';
+            tr.appendChild(oldNo);
+
+            const newNo = document.createElement('td');
+            newNo.className = 'line-no';
+            newNo.textContent = line.newNo ?? '';
+            tr.appendChild(newNo);
+
+            const text = document.createElement('td');
+            text.className = 'line-text';
+            const marker = line.type === 'insert' ? '+' : line.type === 'delete' ? '-' : ' ';
+            text.textContent = marker + line.text;
+            tr.appendChild(text);
+
+            tbody.appendChild(tr);
+        }
+    }
+
+    table.appendChild(tbody);
+    container.appendChild(table);
+}
+
 /* ------------------------------------------------------------------ */
 /*  Helpers                                                            */
 /* ------------------------------------------------------------------ */
 
+/**
+ * Property cell for a collection item diff (e.g. one production item
+ * setting): the collection name, the item label, and a one-line summary
+ * such as "Adapter: FilePath changed from X to Y".
+ */
+function appendCollectionItemCell(container, diff) {
+    const collection = document.createElement('span');
+    collection.className = 'prop-collection';
+    collection.textContent = diff.collection;
+    container.appendChild(collection);
+
+    container.appendChild(document.createTextNode(` ${diff.item}`));
+
+    const summary = document.createElement('div');
+    summary.className = 'prop-change-summary';
+    if (diff.saved === undefined) {
+        summary.textContent = `${diff.item} added`;
+    } else if (diff.current === undefined) {
+        summary.textContent = `${diff.item} removed`;
+    } else {
+        summary.textContent =
+            `${diff.item} changed from ${formatPropValue(diff.saved)} to ${formatPropValue(diff.current)}`;
+    }
+    container.appendChild(summary);
+}
+
 function appendValueCell(container, value) {
     if (value === undefined) {
         const span = document.createElement('span');
@@ -376,15 +1750,6 @@ function formatPropValue(value) {
     return String(value);
 }
 
-function formatTimestamp(iso) {
-    if (!iso) return '—';
-    try {
-        return new Date(iso).toLocaleString();
-    } catch {
-        return iso;
-    }
-}
-
 function groupBy(arr, key) {
     const map = new Map();
     for (const item of arr) {
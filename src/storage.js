@@ -1,43 +1,198 @@
 /**
  * Storage layer — abstracts browser.storage.local for snapshots and reports.
  *
+ * Snapshots are kept in a named library so several servers can be saved
+ * side by side. One library entry can be flagged as the baseline, which
+ * is what loadSnapshot() returns when no id is given.
+ *
+ * Snapshot and report payloads can run to megabytes: they are stored
+ * compressed in IndexedDB (see payloadStore.js) and storage.local only
+ * keeps their metadata, including the stored sizes. Payloads stored
+ * inline by earlier versions are moved on first read.
+ *
  * Uses the compatibility layer so the same code works on Chrome and Firefox.
  */
 
 import { browser } from './platform/browser-polyfill.js';
+import { putPayload, getPayload, deletePayloads, clearPayloads } from './payloadStore.js';
+import { DEFAULT_BACKEND_SETUP } from './core/backendSetup.js';
+import { DEFAULT_NAMESPACE_EXCLUDES } from './core/exportScope.js';
 
-const SNAPSHOT_KEY = 'savedSnapshot';
+const LIBRARY_KEY = 'snapshotLibrary';
+const BASELINE_KEY = 'baselineSnapshotId';
 const REPORT_KEY = 'comparisonReport';
+const IGNORE_RULES_KEY = 'ignoreRules';
+const SETTINGS_KEY = 'settings';
+const CHECKLIST_KEY = 'checklists';
+
+// Single-slot key used before the snapshot library existed
+const LEGACY_SNAPSHOT_KEY = 'savedSnapshot';
+
+// Payload store key of the comparison report
+const REPORT_PAYLOAD = 'report';
+
+/**
+ * @typedef {object} SnapshotMeta
+ * @property {string}   id         - Library-unique identifier
+ * @property {string}   name       - User-facing name
+ * @property {string}   serverUrl  - Origin the snapshot was taken from
+ * @property {string}   timestamp  - ISO date of the save
+ * @property {string[]} tags       - Optional free-form tags
+ * @property {number}   size       - Bytes of the snapshot JSON
+ * @property {number}   storedSize - Bytes stored after compression
+ */
 
 /**
- * Persist a server snapshot.
- * @param {{ snapshot: object, serverUrl: string }} data
+ * @typedef {SnapshotMeta & { snapshot: object }} SnapshotEntry
+ *          A library entry with its export payload from the server
+ */
+
+/**
+ * Persist a server snapshot as a new library entry.
+ * The first snapshot ever saved becomes the baseline.
+ *
+ * Imported snapshot files pass their original `timestamp`; fresh
+ * exports are stamped with the current time.
+ *
+ * @param {{ snapshot: object, serverUrl: string, name?: string, tags?: string[], timestamp?: string }} data
+ * @returns {Promise<SnapshotEntry>} The stored entry.
  */
 export async function saveSnapshot(data) {
-    return browser.storage.local.set({
-        [SNAPSHOT_KEY]: {
-            snapshot: data.snapshot,
-            serverUrl: data.serverUrl,
-            timestamp: new Date().toISOString()
-        }
-    });
+    const library = await readLibrary();
+
+    const id = crypto.randomUUID();
+    const meta = {
+        id,
+        name: data.name || defaultName(data.serverUrl),
+        serverUrl: data.serverUrl,
+        timestamp: data.timestamp || new Date().toISOString(),
+        tags: normalizeTags(data.tags),
+        ...await putPayload(snapshotKey(id), data.snapshot)
+    };
+
+    library.push(meta);
+
+    const update = { [LIBRARY_KEY]: library };
+    if (!(await getBaselineId())) {
+        update[BASELINE_KEY] = meta.id;
+    }
+
+    await browser.storage.local.set(update);
+    return { ...meta, snapshot: data.snapshot };
+}
+
+/**
+ * List library entries without their snapshot payloads, newest first.
+ * @returns {Promise<Array<SnapshotMeta & { isBaseline: boolean }>>}
+ */
+export async function listSnapshots() {
+    const library = await readLibrary();
+    const baselineId = await getBaselineId();
+
+    return library
+        .map(meta => ({ ...meta, isBaseline: meta.id === baselineId }))
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Load a saved snapshot. Without an id, the baseline is returned.
+ * @param {string} [id]
+ * @returns {Promise<SnapshotEntry | null>}
+ */
+export async function loadSnapshot(id) {
+    const targetId = id || await getBaselineId();
+    if (!targetId) return null;
+
+    const library = await readLibrary();
+    const meta = library.find(entry => entry.id === targetId);
+    return meta ? withPayload(meta) : null;
+}
+
+/**
+ * Load every snapshot taken from one server origin, oldest first —
+ * the history the drift timeline is built from.
+ * @param {string} origin - e.g. "https://iris.example.com:52773"
+ * @returns {Promise<SnapshotEntry[]>}
+ */
+export async function loadServerHistory(origin) {
+    const library = await readLibrary();
+    const entries = await Promise.all(library
+        .filter(meta => serverOrigin(meta.serverUrl) === origin)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+        .map(withPayload));
+    return entries.filter(Boolean);
+}
+
+/**
+ * Origin of a snapshot's server URL, or null for imported files and
+ * anything else that is not http(s).
+ * @param {string} serverUrl
+ * @returns {string|null}
+ */
+export function serverOrigin(serverUrl) {
+    try {
+        const url = new URL(serverUrl);
+        return /^https?:$/.test(url.protocol) ? url.origin : null;
+    } catch {
+        return null;
+    }
 }
 
 /**
- * Load the previously saved snapshot.
- * @returns {Promise<{ snapshot: object, serverUrl: string, timestamp: string } | null>}
+ * Rename a library entry.
+ * @param {string} id
+ * @param {string} name
  */
-export async function loadSnapshot() {
-    const result = await browser.storage.local.get(SNAPSHOT_KEY);
-    return result[SNAPSHOT_KEY] || null;
+export async function renameSnapshot(id, name) {
+    const library = await readLibrary();
+    const entry = library.find(e => e.id === id);
+
+    if (!entry) {
+        throw new Error('Snapshot not found.');
+    }
+
+    entry.name = name.trim() || defaultName(entry.serverUrl);
+    return browser.storage.local.set({ [LIBRARY_KEY]: library });
 }
 
 /**
- * Persist a comparison report for the report page to read.
+ * Delete a library entry. Deleting the baseline leaves no baseline set.
+ * @param {string} id
+ */
+export async function deleteSnapshot(id) {
+    const library = await readLibrary();
+    const remaining = library.filter(e => e.id !== id);
+
+    await browser.storage.local.set({ [LIBRARY_KEY]: remaining });
+    await deletePayloads([snapshotKey(id)]);
+
+    if ((await getBaselineId()) === id) {
+        await browser.storage.local.remove(BASELINE_KEY);
+    }
+}
+
+/**
+ * Flag a library entry as the baseline.
+ * @param {string} id
+ */
+export async function setBaseline(id) {
+    const library = await readLibrary();
+
+    if (!library.some(e => e.id === id)) {
+        throw new Error('Snapshot not found.');
+    }
+
+    return browser.storage.local.set({ [BASELINE_KEY]: id });
+}
+
+/**
+ * Persist a comparison report for the report page to read. Only its
+ * timestamp and sizes are kept in storage.local.
  * @param {object} report
  */
 export async function saveReport(report) {
-    return browser.storage.local.set({ [REPORT_KEY]: report });
+    const sizes = await putPayload(REPORT_PAYLOAD, report);
+    return browser.storage.local.set({ [REPORT_KEY]: { timestamp: report.timestamp, ...sizes } });
 }
 
 /**
@@ -46,13 +201,225 @@ export async function saveReport(report) {
  */
 export async function loadReport() {
     const result = await browser.storage.local.get(REPORT_KEY);
-    return result[REPORT_KEY] || null;
+    const stored = result[REPORT_KEY];
+    if (!stored) return null;
+
+    // Reports saved whole by earlier versions move to the payload store
+    if (Array.isArray(stored.sections)) {
+        await saveReport(stored);
+        return stored;
+    }
+
+    return getPayload(REPORT_PAYLOAD);
+}
+
+/**
+ * Persist the user's ignore rules.
+ * @param {import('./core/ignoreRules.js').IgnoreRule[]} rules
+ */
+export async function saveIgnoreRules(rules) {
+    return browser.storage.local.set({ [IGNORE_RULES_KEY]: rules });
 }
 
 /**
- * Remove all stored data (snapshot and report).
+ * Load the user's ignore rules.
+ * @returns {Promise<import('./core/ignoreRules.js').IgnoreRule[]>}
+ */
+export async function loadIgnoreRules() {
+    const result = await browser.storage.local.get(IGNORE_RULES_KEY);
+    return result[IGNORE_RULES_KEY] || [];
+}
+
+/**
+ * Load the checklist states of a baseline/target pair.
+ * @param {string} pairKey - See checklistPairKey()
+ * @returns {Promise<Object<string, import('./core/checklist.js').ChecklistState>>} Item key → state
+ */
+export async function loadChecklist(pairKey) {
+    const result = await browser.storage.local.get(CHECKLIST_KEY);
+    return result[CHECKLIST_KEY]?.[pairKey] || {};
+}
+
+/**
+ * Store the state of one checklist item. States back at the default
+ * (to do, no note, no assignee) are removed instead.
+ *
+ * @param {string} pairKey
+ * @param {string} itemKey - See checklistItemKey()
+ * @param {import('./core/checklist.js').ChecklistState|null} state
+ * @returns {Promise<void>}
+ */
+export async function saveChecklistItem(pairKey, itemKey, state) {
+    const result = await browser.storage.local.get(CHECKLIST_KEY);
+    const checklists = result[CHECKLIST_KEY] || {};
+    const pair = checklists[pairKey] || {};
+
+    if (state) {
+        pair[itemKey] = { ...state, updatedAt: new Date().toISOString() };
+    } else {
+        delete pair[itemKey];
+    }
+
+    if (Object.keys(pair).length > 0) {
+        checklists[pairKey] = pair;
+    } else {
+        delete checklists[pairKey];
+    }
+
+    return browser.storage.local.set({ [CHECKLIST_KEY]: checklists });
+}
+
+/**
+ * @typedef {object} Settings
+ * @property {boolean} deepGlobals - Request global data fingerprints on export (slower)
+ * @property {{ globalSize: number, globalNodeCount: number }} tolerances
+ *           Accepted relative difference, in percent, before a value is flagged
+ * @property {import('./core/exportScope.js').ExportScope} exportScope
+ *           Collections and namespaces requested on export (chosen in the popup)
+ * @property {import('./core/exportScope.js').NamespaceFilter} namespaceFilter
+ *           Namespace globs the server includes and excludes on export
+ * @property {import('./core/backendSetup.js').BackendSetup} backendSetup
+ *           How the backend web application is set up on install
+ */
+
+/**
+ * Default user settings.
+ * @type {Settings}
+ */
+export const DEFAULT_SETTINGS = {
+    deepGlobals: false,
+    tolerances: {
+        globalSize: 5,
+        globalNodeCount: 0
+    },
+    exportScope: {
+        sections: [],
+        namespaces: []
+    },
+    namespaceFilter: {
+        include: [],
+        exclude: DEFAULT_NAMESPACE_EXCLUDES
+    },
+    backendSetup: DEFAULT_BACKEND_SETUP
+};
+
+/**
+ * Persist the user settings.
+ * @param {Settings} settings
+ * @returns {Promise<void>}
+ */
+export async function saveSettings(settings) {
+    return browser.storage.local.set({ [SETTINGS_KEY]: settings });
+}
+
+/**
+ * Load the user settings, filling in defaults for anything not set.
+ * @returns {Promise<Settings>}
+ */
+export async function loadSettings() {
+    const result = await browser.storage.local.get(SETTINGS_KEY);
+    const stored = result[SETTINGS_KEY] || {};
+    return {
+        ...DEFAULT_SETTINGS,
+        ...stored,
+        tolerances: { ...DEFAULT_SETTINGS.tolerances, ...stored.tolerances },
+        exportScope: { ...DEFAULT_SETTINGS.exportScope, ...stored.exportScope },
+        namespaceFilter: { ...DEFAULT_SETTINGS.namespaceFilter, ...stored.namespaceFilter },
+        backendSetup: { ...DEFAULT_SETTINGS.backendSetup, ...stored.backendSetup }
+    };
+}
+
+/**
+ * Remove all stored data (snapshot library, baseline, report and
+ * checklists, and the stored payloads). Ignore rules and settings are
+ * not data, and are kept.
  * @returns {Promise<void>}
  */
 export async function clearAllData() {
-    return browser.storage.local.remove([SNAPSHOT_KEY, REPORT_KEY]);
+    await browser.storage.local.remove([
+        LIBRARY_KEY,
+        BASELINE_KEY,
+        REPORT_KEY,
+        CHECKLIST_KEY,
+        LEGACY_SNAPSHOT_KEY
+    ]);
+    await clearPayloads();
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Read the snapshot library metadata. The first time they are found,
+ * a legacy single-slot snapshot is added to it (as the baseline) and
+ * payloads stored inline are moved to the payload store.
+ * @returns {Promise<SnapshotMeta[]>}
+ */
+async function readLibrary() {
+    const result = await browser.storage.local.get([LIBRARY_KEY, LEGACY_SNAPSHOT_KEY]);
+    const library = result[LIBRARY_KEY] || [];
+    const legacy = result[LEGACY_SNAPSHOT_KEY];
+
+    if (!legacy && !library.some(entry => entry.snapshot)) {
+        return library;
+    }
+
+    const update = {};
+    if (legacy) {
+        const id = crypto.randomUUID();
+        library.push({
+            id,
+            name: defaultName(legacy.serverUrl),
+            serverUrl: legacy.serverUrl,
+            timestamp: legacy.timestamp,
+            tags: [],
+            snapshot: legacy.snapshot
+        });
+        update[BASELINE_KEY] = id;
+    }
+
+    const migrated = [];
+    for (const { snapshot, ...meta } of library) {
+        migrated.push(snapshot ? { ...meta, ...await putPayload(snapshotKey(meta.id), snapshot) } : meta);
+    }
+
+    await browser.storage.local.set({ ...update, [LIBRARY_KEY]: migrated });
+    if (legacy) {
+        await browser.storage.local.remove(LEGACY_SNAPSHOT_KEY);
+    }
+
+    return migrated;
+}
+
+/**
+ * Library entry with its payload, or null when the payload is gone.
+ * @param {SnapshotMeta} meta
+ * @returns {Promise<SnapshotEntry|null>}
+ */
+async function withPayload(meta) {
+    const snapshot = await getPayload(snapshotKey(meta.id));
+    return snapshot ? { ...meta, snapshot } : null;
+}
+
+function snapshotKey(id) {
+    return `snapshot:${id}`;
+}
+
+async function getBaselineId() {
+    const result = await browser.storage.local.get(BASELINE_KEY);
+    return result[BASELINE_KEY] || null;
+}
+
+function defaultName(serverUrl) {
+    try {
+        return new URL(serverUrl).host;
+    } catch {
+        return serverUrl || 'Unnamed snapshot';
+    }
+}
+
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    return [...new Set(tags.map(t => String(t).trim()).filter(Boolean))];
 }
@@ -0,0 +1,219 @@
+/**
+ * Timeline page — shows how one server's configuration drifted across
+ * the snapshots saved from it, newest change first. Filterable by
+ * section and entity name.
+ *
+ * The server origin comes from the `origin` query parameter (set by the
+ * popup) and can be switched on the page.
+ */
+
+import { listSnapshots, loadServerHistory, loadIgnoreRules, loadSettings, serverOrigin } from './storage.js';
+import { buildTimeline } from './core/timeline.js';
+import { buildSectionOptions } from './core/registry.js';
+import { formatValue, formatTimestamp } from './core/reportExport.js';
+
+const KIND_LABELS = {
+    appeared: 'Appeared',
+    disappeared: 'Disappeared',
+    changed: 'Changed'
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const serverSelect = document.getElementById('server-select');
+    const sectionFilter = document.getElementById('section-filter');
+    const entityFilter = document.getElementById('entity-filter');
+    const timelineEl = document.getElementById('timeline');
+
+    // Steps of the server currently shown, oldest first
+    let steps = [];
+
+    for (const [value, label] of buildSectionOptions()) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        sectionFilter.appendChild(option);
+    }
+
+    serverSelect.addEventListener('change', () => loadServer(serverSelect.value));
+    sectionFilter.addEventListener('change', render);
+    entityFilter.addEventListener('input', render);
+
+    try {
+        const snapshots = await listSnapshots();
+        const counts = new Map();
+        for (const entry of snapshots) {
+            const origin = serverOrigin(entry.serverUrl);
+            if (origin) counts.set(origin, (counts.get(origin) || 0) + 1);
+        }
+
+        if (counts.size === 0) {
+            showMessage('No server snapshots saved yet. Save a server from the extension popup first.', 'error');
+            return;
+        }
+
+        for (const [origin, count] of counts) {
+            const option = document.createElement('option');
+            option.value = origin;
+            option.textContent = `${origin} (${count} snapshot${count !== 1 ? 's' : ''})`;
+            serverSelect.appendChild(option);
+        }
+
+        const requested = new URLSearchParams(location.search).get('origin');
+        serverSelect.value = counts.has(requested) ? requested : serverSelect.options[0].value;
+
+        await loadServer(serverSelect.value);
+    } catch (err) {
+        showMessage(`Failed to load timeline: ${err.message}`, 'error');
+    }
+
+    /* ---- Loading ---- */
+
+    async function loadServer(origin) {
+        try {
+            const url = new URL(location.href);
+            url.searchParams.set('origin', origin);
+            history.replaceState(null, '', url);
+
+            const entries = await loadServerHistory(origin);
+            if (entries.length < 2) {
+                steps = [];
+                showMessage('At least two snapshots of this server are needed to build a timeline.', 'in-sync-msg');
+                return;
+            }
+
+            const ignoreRules = await loadIgnoreRules();
+            const { tolerances } = await loadSettings();
+            steps = buildTimeline(entries, { ignoreRules, tolerances });
+            render();
+        } catch (err) {
+            steps = [];
+            showMessage(`Failed to load timeline: ${err.message}`, 'error');
+        }
+    }
+
+    /* ---- Rendering ---- */
+
+    function render() {
+        if (steps.length === 0) return;
+
+        timelineEl.innerHTML = '';
+
+        const section = sectionFilter.value;
+        const needle = entityFilter.value.trim().toLowerCase();
+        const matches = event =>
+            (section === '*' || event.section === section) &&
+            (!needle || event.entity.toLowerCase().includes(needle));
+
+        let shown = 0;
+
+        // Newest change first
+        for (const step of [...steps].reverse()) {
+            const events = step.events.filter(matches);
+            if (events.length === 0 && (section !== '*' || needle)) continue;
+
+            timelineEl.appendChild(renderStep(step, events));
+            shown++;
+        }
+
+        if (shown === 0) {
+            showMessage('No changes match the filters.', 'in-sync-msg');
+        }
+    }
+
+    function renderStep(step, events) {
+        const wrapper = document.createElement('section');
+        wrapper.className = 'timeline-step';
+
+        const h2 = document.createElement('h2');
+        h2.textContent = `${formatTimestamp(step.to.timestamp)} — ${step.to.name}`;
+        wrapper.appendChild(h2);
+
+        const since = document.createElement('p');
+        since.className = 'snapshot-meta';
+        since.textContent = `Since ${formatTimestamp(step.from.timestamp)} (${step.from.name}): ` +
+            `${events.length} change${events.length !== 1 ? 's' : ''}`;
+        wrapper.appendChild(since);
+
+        if (events.length === 0) {
+            return wrapper;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'timeline-events';
+        for (const event of events) {
+            list.appendChild(renderEvent(event));
+        }
+        wrapper.appendChild(list);
+
+        return wrapper;
+    }
+
+    function showMessage(message, className) {
+        timelineEl.innerHTML = '';
+        const p = document.createElement('p');
+        p.className = className;
+        p.textContent = message;
+        timelineEl.appendChild(p);
+    }
+});
+
+function renderEvent(event) {
+    const li = document.createElement('li');
+    li.className = `timeline-event ${event.kind}`;
+
+    const kind = document.createElement('span');
+    kind.className = `timeline-kind ${event.kind}`;
+    kind.textContent = KIND_LABELS[event.kind];
+    li.appendChild(kind);
+
+    const section = document.createElement('span');
+    section.className = 'timeline-section';
+    section.textContent = event.parentId ? `${event.parentId} › ${event.sectionLabel}` : event.sectionLabel;
+    li.appendChild(section);
+
+    const entity = document.createElement('span');
+    entity.className = 'timeline-entity';
+    entity.textContent = event.entity;
+    li.appendChild(entity);
+
+    if (event.changes.length > 0) {
+        const table = document.createElement('table');
+        table.className = 'prop-diff-table';
+
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        for (const text of ['Property', 'Before', 'After']) {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headRow.appendChild(th);
+        }
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        for (const change of event.changes) {
+            const tr = document.createElement('tr');
+
+            const tdProp = document.createElement('td');
+            tdProp.className = 'prop-name';
+            tdProp.textContent = change.property;
+            tr.appendChild(tdProp);
+
+            const tdBefore = document.createElement('td');
+            tdBefore.className = 'prop-value saved';
+            tdBefore.textContent = formatValue(change.before);
+            tr.appendChild(tdBefore);
+
+            const tdAfter = document.createElement('td');
+            tdAfter.className = 'prop-value current';
+            tdAfter.textContent = formatValue(change.after);
+            tr.appendChild(tdAfter);
+
+            tbody.appendChild(tr);
+        }
+        table.appendChild(tbody);
+        li.appendChild(table);
+    }
+
+    return li;
+}
@@ -0,0 +1,71 @@
+/**
+ * Tests for core/backendSetup.js. Run with `node --test` from the
+ * repository root.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_BACKEND_SETUP,
+    isIpAddress,
+    setupParameters,
+    validateBackendSetup
+} from '../src/core/backendSetup.js';
+
+test('isIpAddress: IPv4 dotted quads', () => {
+    for (const ip of ['10.0.0.5', '0.0.0.0', '255.255.255.255', '127.0.0.1']) {
+        assert.equal(isIpAddress(ip), true, ip);
+    }
+    for (const ip of ['999.1', '256.0.0.1', '1.2.3', '1.2.3.4.5', '01.2.3.4', '1.2.3.', '1..3.4', 'a.b.c.d']) {
+        assert.equal(isIpAddress(ip), false, ip);
+    }
+});
+
+test('isIpAddress: IPv6 groups and compression', () => {
+    for (const ip of ['::1', '::', 'fe80::1', '2001:db8:0:0:0:0:0:1', '2001:DB8::8:800:200C:417A', '::ffff:10.0.0.5']) {
+        assert.equal(isIpAddress(ip), true, ip);
+    }
+    for (const ip of ['abc', '::::', ':::', '1::2::3', '2001:db8:0:0:0:0:0:0:1', '1:2:3:4:5:6:7', '12345::1',
+        'g::1', '1.2.3.4::', '::ffff:999.0.0.1', '1:2:3:4:5:6:7::8:9']) {
+        assert.equal(isIpAddress(ip), false, ip);
+    }
+});
+
+test('validateBackendSetup: the defaults are valid', () => {
+    assert.deepEqual(validateBackendSetup(DEFAULT_BACKEND_SETUP), []);
+});
+
+test('validateBackendSetup: reports every problem', () => {
+    const problems = validateBackendSetup({
+        ...DEFAULT_BACKEND_SETUP,
+        appPath: '/csp/other/',
+        authMethods: [],
+        dedicatedRole: true,
+        roleName: '%Developer',
+        allowedIps: ['10.0.0.5', 'abc'],
+        expiresAt: 'tomorrow'
+    });
+
+    assert.equal(problems.length, 5);
+    assert.match(problems.find(problem => problem.includes('"abc"')), /not an IPv4 or IPv6 address/);
+});
+
+test('setupParameters: positional arguments of the setup procedure', () => {
+    const parameters = setupParameters({
+        ...DEFAULT_BACKEND_SETUP,
+        authMethods: ['password', 'cookie'],
+        dedicatedRole: true,
+        allowedIps: ['10.0.0.5', 'FE80::1'],
+        expiresAt: '2030-01-02T03:04:05Z'
+    });
+
+    assert.deepEqual(parameters, [
+        '/api/v1/migration/framework',
+        32 | 16384,
+        'MigrationFramework',
+        '10.0.0.5,fe80::1',
+        '2030-01-02 03:04:05'
+    ]);
+    assert.throws(() => setupParameters({ ...DEFAULT_BACKEND_SETUP, allowedIps: ['::::'] }), /Invalid backend setup/);
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for core/comparators.js. Run with `node --test` from the
+ * repository root.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { canonicalize, createComparator, resolveComparators } from '../src/core/comparators.js';
+
+test('createComparator: tolerance is inclusive at its boundary', () => {
+    const equal = createComparator({ tolerance: 'size' }, 'size', { tolerances: { size: 10 } });
+
+    // 10 % of the larger value (100) is exactly 10
+    assert.equal(equal(90, 100), true);
+    assert.equal(equal(100, 90), true);
+    assert.equal(equal('90', ' 100'), true, 'numeric strings are read as numbers');
+    assert.equal(equal(89, 100), false);
+    assert.equal(equal(-90, -100), true);
+    assert.equal(equal(0, 0), true);
+});
+
+test('createComparator: an unset tolerance means exact numeric equality', () => {
+    const equal = createComparator({ tolerance: 'missing' }, 'size', { tolerances: {} });
+
+    assert.equal(equal(100, 100), true);
+    assert.equal(equal('007', 7), true);
+    assert.equal(equal(100, 100.5), false);
+});
+
+test('createComparator: non-numeric values under a tolerance compare canonically', () => {
+    const equal = createComparator({ tolerance: 'size' }, 'size', { tolerances: { size: 50 } });
+
+    assert.equal(equal('big', 'big'), true);
+    assert.equal(equal('big', 'bigger'), false);
+    assert.equal(equal('', 0), false);
+});
+
+test('createComparator: built-in normalizers', () => {
+    const tokenSet = createComparator('tokenSet');
+    assert.equal(tokenSet('b, a,a', 'a,b'), true);
+    assert.equal(tokenSet(['b', 'a'], 'a, b'), true);
+    assert.equal(tokenSet('a,b', 'a,c'), false);
+
+    const boolean = createComparator('boolean');
+    assert.equal(boolean(1, 'true'), true);
+    assert.equal(boolean('0', false), true);
+    assert.equal(boolean('', 0), true);
+    assert.equal(boolean('yes', true), false, 'unknown spellings are left as they are');
+
+    const numeric = createComparator('numeric');
+    assert.equal(numeric('007', 7), true);
+    assert.equal(numeric('', 0), false);
+
+    assert.equal(createComparator('caseInsensitive')('%SYS', '%sys'), true);
+    assert.equal(createComparator('trimmed')(' Main ', 'Main'), true);
+    assert.equal(createComparator('strict')(1, '1'), false);
+});
+
+test('createComparator: a list of names applies each in order', () => {
+    const equal = createComparator(['trimmed', 'caseInsensitive']);
+
+    assert.equal(equal('  USER ', 'user'), true);
+    assert.equal(equal('user', 'users'), false);
+});
+
+test('resolveComparators: custom functions pass through and unknown names throw', () => {
+    const custom = () => true;
+    const resolved = resolveComparators({ roles: 'tokenSet', any: custom });
+
+    assert.equal(resolved.any, custom);
+    assert.equal(resolved.roles('x,y', 'y,x'), true);
+    assert.throws(() => resolveComparators({ roles: 'fuzzy' }), /Unknown comparator "fuzzy" for property "roles"/);
+});
+
+test('canonicalize: key order and array order do not matter', () => {
+    assert.equal(canonicalize({ b: 1, a: [2, 1] }), canonicalize({ a: [1, 2], b: 1 }));
+    assert.notEqual(canonicalize([1, 1, 2]), canonicalize([1, 2, 2]));
+    assert.notEqual(canonicalize('1'), canonicalize(1));
+});
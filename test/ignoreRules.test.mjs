@@ -0,0 +1,129 @@
+/**
+ * Tests for core/ignoreRules.js. Run with `node --test` from the
+ * repository root.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    applyIgnoreRulesToEntities,
+    applyIgnoreRulesToFlat,
+    countIgnored,
+    globToRegExp
+} from '../src/core/ignoreRules.js';
+import { entityCompare } from '../src/core/strategies/entityCompare.js';
+import { flatCompare } from '../src/core/strategies/flatCompare.js';
+import { compare } from '../src/core/compare.js';
+
+const SAVED = [
+    { id: '/csp/app', description: 'Uploaded at 10:00', enabled: 1 },
+    { id: '/csp/old', description: '', enabled: 1 },
+    { id: '/api/v1', description: '', enabled: 1 }
+];
+
+const CURRENT = [
+    { id: '/csp/app', description: 'Uploaded at 11:00', enabled: 0 },
+    { id: '/api/v1', description: '', enabled: 1 },
+    { id: '/csp/new', description: '', enabled: 1 }
+];
+
+function entityResult() {
+    return entityCompare(SAVED, CURRENT, 'id', new Set(), {});
+}
+
+test('globToRegExp: * and ? wildcards, anchored, other characters literal', () => {
+    assert.equal(globToRegExp('/csp/*').test('/csp/app/sub'), true);
+    assert.equal(globToRegExp('/csp/?pp').test('/csp/app'), true);
+    assert.equal(globToRegExp('/csp/?pp').test('/csp/apps'), false);
+    assert.equal(globToRegExp('a.b').test('axb'), false);
+    assert.equal(globToRegExp('(x)+[y]').test('(x)+[y]'), true);
+    assert.equal(globToRegExp('APP').test('app'), false);
+});
+
+test('applyIgnoreRulesToEntities: a rule that matches nothing changes nothing', () => {
+    const result = entityResult();
+    const before = structuredClone(result);
+
+    const ignored = applyIgnoreRulesToEntities('webApplications', result, [
+        { section: 'webApplications', entity: '/nowhere/*' },
+        { section: 'users', entity: '*' },
+        { section: '*', entity: '*', property: 'noSuchProperty' }
+    ]);
+
+    assert.equal(countIgnored(ignored), 0);
+    assert.deepEqual(result.summary, before.summary);
+    assert.deepEqual(result.missing, before.missing);
+    assert.deepEqual(result.extra, before.extra);
+});
+
+test('applyIgnoreRulesToEntities: a property rule moves only matching property differences', () => {
+    const result = entityResult();
+    const ignored = applyIgnoreRulesToEntities('webApplications', result, [
+        { section: 'webApplications', entity: '/csp/*', property: 'descr*' }
+    ]);
+
+    assert.deepEqual(ignored.differences.map(diff => `${diff.id}:${diff.property}`), ['/csp/app:description']);
+    assert.equal(result.summary.changed, 1, 'enabled still differs');
+    assert.equal(result.summary.missing, 1, 'property rules never hide presence');
+    assert.equal(result.summary.extra, 1);
+});
+
+test('applyIgnoreRulesToEntities: kind limits a rule to missing, extra or changed', () => {
+    const result = entityResult();
+    const ignored = applyIgnoreRulesToEntities('webApplications', result, [
+        { section: '*', entity: '/csp/*', kind: 'extra' }
+    ]);
+
+    assert.deepEqual(ignored.extra.map(item => item.id), ['/csp/new']);
+    assert.deepEqual(result.missing.map(item => item.id), ['/csp/old']);
+    assert.deepEqual(result.summary, { missing: 1, extra: 0, changed: 1, inSync: 1 });
+});
+
+test('applyIgnoreRulesToEntities: an entity with every difference ignored is back in sync', () => {
+    const result = entityResult();
+    applyIgnoreRulesToEntities('webApplications', result, [
+        { section: 'webApplications', entity: '/csp/app' }
+    ]);
+
+    assert.deepEqual(result.summary, { missing: 1, extra: 1, changed: 0, inSync: 2 });
+});
+
+test('applyIgnoreRulesToFlat: only entity-wide rules with entity "*" apply', () => {
+    const saved = [{ key: 'a', value: 1 }, { key: 'b', value: 2 }];
+    const current = [{ key: 'a', value: 1 }, { key: 'c', value: 3 }];
+
+    const unmatched = flatCompare(saved, current);
+    const none = applyIgnoreRulesToFlat('lookups', unmatched, [
+        { section: 'lookups', entity: 'a*' },
+        { section: 'lookups', entity: '*', property: 'value' }
+    ]);
+    assert.equal(countIgnored(none), 0);
+    assert.deepEqual(unmatched.summary, { missing: 1, extra: 1 });
+
+    const matched = flatCompare(saved, current);
+    const ignored = applyIgnoreRulesToFlat('lookups', matched, [{ section: 'lookups', entity: '*', kind: 'missing' }]);
+    assert.deepEqual(ignored.missing, [{ key: 'b', value: 2 }]);
+    assert.deepEqual(matched.summary, { missing: 0, extra: 1 });
+});
+
+test('compare: ignored differences leave the totals but stay in the report', () => {
+    const plain = compare({ webApplications: SAVED }, { webApplications: CURRENT });
+    const descriptionOnly = compare({ webApplications: SAVED }, { webApplications: CURRENT }, {
+        ignoreRules: [{ section: 'webApplications', entity: '*', property: 'description' }]
+    });
+    const wholeEntity = compare({ webApplications: SAVED }, { webApplications: CURRENT }, {
+        ignoreRules: [{ section: 'webApplications', entity: '/csp/app' }]
+    });
+
+    assert.equal(plain.totalIgnored, 0);
+    assert.equal(plain.totalDifferences, 3);
+
+    // /csp/app still differs in enabled, so it is still one changed entity
+    assert.equal(descriptionOnly.totalIgnored, 1);
+    assert.equal(descriptionOnly.totalDifferences, 3);
+    assert.equal(descriptionOnly.sections.find(section => section.key === 'webApplications').ignored.differences.length, 1);
+
+    assert.equal(wholeEntity.totalIgnored, 2);
+    assert.equal(wholeEntity.totalDifferences, 2);
+});
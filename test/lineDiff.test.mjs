@@ -0,0 +1,140 @@
+/**
+ * Tests for core/lineDiff.js. Run with `node --test` from the repository
+ * root (Node 20 or later; no dependencies).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffLines, toHunks, formatUnified } from '../src/core/lineDiff.js';
+
+/** Rebuild both inputs from a diff: every line must be accounted for, in order. */
+function sides(diff) {
+    return {
+        old: diff.filter(line => line.type !== 'insert').map(line => line.text),
+        new: diff.filter(line => line.type !== 'delete').map(line => line.text)
+    };
+}
+
+function lines(count, prefix) {
+    return Array.from({ length: count }, (_, i) => `${prefix}${i + 1}`);
+}
+
+test('diffLines: identical inputs are all equal lines', () => {
+    const diff = diffLines(['a', 'b', 'c'], ['a', 'b', 'c']);
+
+    assert.deepEqual(diff.map(line => line.type), ['equal', 'equal', 'equal']);
+    assert.deepEqual(diff.map(line => [line.oldNo, line.newNo]), [[1, 1], [2, 2], [3, 3]]);
+});
+
+test('diffLines: empty inputs', () => {
+    assert.deepEqual(diffLines([], []), []);
+    assert.deepEqual(diffLines([], ['x']), [{ type: 'insert', text: 'x', oldNo: null, newNo: 1 }]);
+    assert.deepEqual(diffLines(['x'], []), [{ type: 'delete', text: 'x', oldNo: 1, newNo: null }]);
+});
+
+test('diffLines: a changed line is a delete followed by an insert', () => {
+    const diff = diffLines(['a', 'b', 'c'], ['a', 'B', 'c']);
+
+    assert.deepEqual(diff, [
+        { type: 'equal', text: 'a', oldNo: 1, newNo: 1 },
+        { type: 'delete', text: 'b', oldNo: 2, newNo: null },
+        { type: 'insert', text: 'B', oldNo: null, newNo: 2 },
+        { type: 'equal', text: 'c', oldNo: 3, newNo: 3 }
+    ]);
+});
+
+test('diffLines: line numbers follow each side after insertions and deletions', () => {
+    const diff = diffLines(['a', 'b', 'c', 'd'], ['x', 'a', 'c', 'd', 'y']);
+
+    assert.deepEqual(diff.map(line => `${line.type}:${line.text}:${line.oldNo}:${line.newNo}`), [
+        'insert:x:null:1',
+        'equal:a:1:2',
+        'delete:b:2:null',
+        'equal:c:3:3',
+        'equal:d:4:4',
+        'insert:y:null:5'
+    ]);
+});
+
+test('diffLines: the edit script is minimal', () => {
+    // Longest common subsequence of these is "a b c a" (4 lines), so 2 deletes + 1 insert
+    const oldLines = ['a', 'b', 'c', 'a', 'b', 'b', 'a'];
+    const newLines = ['c', 'b', 'a', 'b', 'a', 'c'];
+    const diff = diffLines(oldLines, newLines);
+
+    assert.deepEqual(sides(diff), { old: oldLines, new: newLines });
+    assert.equal(diff.filter(line => line.type === 'equal').length, 4);
+});
+
+test('diffLines: completely different large inputs', () => {
+    const oldLines = lines(3000, 'old ');
+    const newLines = lines(3000, 'new ');
+    const diff = diffLines(oldLines, newLines);
+
+    assert.equal(diff.length, 6000);
+    assert.equal(diff.filter(line => line.type === 'equal').length, 0);
+    assert.deepEqual(sides(diff), { old: oldLines, new: newLines });
+});
+
+test('diffLines: scattered edits in a large input', () => {
+    const oldLines = lines(5000, 'line ');
+    const newLines = oldLines.filter((_, i) => i % 100 !== 0).map((line, i) => (i % 250 === 0 ? `${line} changed` : line));
+    const diff = diffLines(oldLines, newLines);
+
+    assert.deepEqual(sides(diff), { old: oldLines, new: newLines });
+    assert.equal(diff.filter(line => line.type === 'delete').length, 50 + 20);
+    assert.equal(diff.filter(line => line.type === 'insert').length, 20);
+});
+
+test('toHunks: identical inputs have no hunks', () => {
+    assert.deepEqual(toHunks(diffLines(['a', 'b'], ['a', 'b'])), []);
+});
+
+test('toHunks: context lines around a change', () => {
+    const oldLines = lines(10, '');
+    const newLines = oldLines.map(line => (line === '5' ? 'five' : line));
+    const hunks = toHunks(diffLines(oldLines, newLines), 2);
+
+    assert.equal(hunks.length, 1);
+    assert.deepEqual(
+        { ...hunks[0], lines: hunks[0].lines.map(line => line.text) },
+        { oldStart: 3, oldLines: 5, newStart: 3, newLines: 5, lines: ['3', '4', '5', 'five', '6', '7'] }
+    );
+});
+
+test('toHunks: changes further apart than twice the context make separate hunks', () => {
+    const oldLines = lines(20, '');
+    const near = oldLines.map(line => (line === '3' || line === '8' ? `${line}!` : line));
+    const far = oldLines.map(line => (line === '3' || line === '15' ? `${line}!` : line));
+
+    assert.equal(toHunks(diffLines(oldLines, near), 2).length, 1);
+
+    const hunks = toHunks(diffLines(oldLines, far), 2);
+    assert.deepEqual(hunks.map(hunk => [hunk.oldStart, hunk.oldLines, hunk.newStart, hunk.newLines]), [
+        [1, 5, 1, 5],
+        [13, 5, 13, 5]
+    ]);
+});
+
+test('toHunks: an empty side starts at the line before it, like diff -u', () => {
+    const [inserted] = toHunks(diffLines(['a', 'b'], ['a', 'b', 'c']), 0);
+    assert.deepEqual([inserted.oldStart, inserted.oldLines, inserted.newStart, inserted.newLines], [2, 0, 3, 1]);
+
+    const [created] = toHunks(diffLines([], ['x', 'y']));
+    assert.deepEqual([created.oldStart, created.oldLines, created.newStart, created.newLines], [0, 0, 1, 2]);
+});
+
+test('formatUnified: unified diff text', () => {
+    const hunks = toHunks(diffLines(['a', 'b', 'c'], ['a', 'B', 'c']), 1);
+
+    assert.equal(formatUnified(hunks, 'old.cls', 'new.cls'), [
+        '--- old.cls',
+        '+++ new.cls',
+        '@@ -1,3 +1,3 @@',
+        ' a',
+        '-b',
+        '+B',
+        ' c'
+    ].join('\n'));
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for core/matrixCompare.js. Run with `node --test` from the
+ * repository root.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compareMatrix } from '../src/core/matrixCompare.js';
+
+function column(name, webApplications) {
+    return { name, serverUrl: `https://${name}.example.com`, timestamp: '2026-01-01T00:00:00Z', snapshot: { webApplications } };
+}
+
+const COLUMNS = [
+    column('base', [{ id: '/a', enabled: 1 }, { id: '/b', enabled: 1 }, { id: '/c', enabled: 1 }]),
+    column('dev', [{ id: '/a', enabled: 0 }, { id: '/b', enabled: 1 }, { id: '/c', enabled: 1 }, { id: '/d', enabled: 1 }]),
+    column('prod', [{ id: '/a', enabled: 1 }, { id: '/c', enabled: 1 }])
+];
+
+function webApplications(matrix) {
+    return matrix.sections.find(section => section.key === 'webApplications');
+}
+
+function statuses(section) {
+    return Object.fromEntries(section.rows.map(row => [row.id, row.cells.map(cell => cell.status)]));
+}
+
+test('compareMatrix: needs a baseline and at least one other snapshot', () => {
+    assert.throws(() => compareMatrix([COLUMNS[0]]), /at least one other snapshot/);
+});
+
+test('compareMatrix: missing and extra entities against the baseline', () => {
+    const section = webApplications(compareMatrix(COLUMNS));
+
+    assert.deepEqual(statuses(section), {
+        '/a': ['present', 'changed', 'same'],
+        '/b': ['present', 'same', 'missing'],
+        '/d': ['absent', 'extra', 'absent']
+    });
+    assert.equal(section.inSync, 1, '/c is equal everywhere');
+    assert.equal(section.totalDifferences, 3);
+
+    const [a] = section.rows;
+    assert.deepEqual(a.cells[1].differences.map(diff => diff.property), ['enabled']);
+    assert.deepEqual(a.values.map(value => value.enabled), [1, 0, 1]);
+    assert.equal(section.rows.find(row => row.id === '/d').values[0], null);
+});
+
+test('compareMatrix: an ignored extra entity stays absent from the baseline', () => {
+    const matrix = compareMatrix(COLUMNS, {
+        ignoreRules: [{ section: 'webApplications', entity: '/d', kind: 'extra' }]
+    });
+    const section = webApplications(matrix);
+    const d = section.rows.find(row => row.id === '/d');
+
+    assert.deepEqual(d.cells, [{ status: 'absent' }, { status: 'ignored', kind: 'extra' }, { status: 'absent' }]);
+    assert.equal(section.totalDifferences, 2);
+    assert.equal(section.totalIgnored, 1);
+    assert.equal(matrix.totalIgnored, 1);
+});
+
+test('compareMatrix: a column equal to the baseline adds no rows', () => {
+    const matrix = compareMatrix([COLUMNS[0], column('copy', COLUMNS[0].snapshot.webApplications)]);
+    const section = webApplications(matrix);
+
+    assert.deepEqual(section.rows, []);
+    assert.equal(section.inSync, 3);
+    assert.equal(matrix.totalDifferences, 0);
+    assert.deepEqual(matrix.columns.map(col => col.name), ['base', 'copy']);
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for core/remediation.js. Run with `node --test` from the
+ * repository root.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compare } from '../src/core/compare.js';
+import { buildFixes, generateRemediationScript, ROUTINE_NAME } from '../src/core/remediation.js';
+
+const SAVED = {
+    users: [{ id: 'alice', name: 'alice', fullName: 'Alice "A" Smith', enabled: 1 }],
+    webApplications: [{ id: '/csp/app', name: '/csp/app', description: 'Line one\nLine two', enabled: 1 }]
+};
+
+const CURRENT = {
+    users: [{ id: 'bob', name: 'bob', fullName: 'Bob', enabled: 1 }],
+    webApplications: [{ id: '/csp/app', name: '/csp/app', description: 'Other', enabled: 1 }]
+};
+
+test('buildFixes: missing entities are created, changed ones modified, extras left alone', () => {
+    const fixes = buildFixes(compare(SAVED, CURRENT));
+
+    assert.deepEqual(fixes.map(fix => `${fix.itemId}:${fix.action}`), [
+        'users:alice:create',
+        'webApplications:/csp/app:modify'
+    ]);
+    assert.deepEqual(fixes[0].properties, { FullName: 'Alice "A" Smith', Enabled: 1 });
+    assert.deepEqual(fixes[0].secrets, ['Password']);
+    assert.deepEqual(fixes[1].properties, { Description: 'Line one\nLine two' });
+    assert.deepEqual(fixes[1].secrets, []);
+});
+
+test('generateRemediationScript: one block per fix, with the password as a placeholder', () => {
+    const script = generateRemediationScript(compare(SAVED, CURRENT));
+
+    assert.ok(script.startsWith(`ROUTINE ${ROUTINE_NAME}\n`));
+    assert.ok(script.endsWith('\n'));
+    assert.match(script, /^ {4}Do Users\n {4}Do WebApplications$/m);
+    assert.ok(script.includes([
+        '    ; Missing: alice',
+        '    Kill props',
+        '    Set props("FullName") = "Alice ""A"" Smith"',
+        '    Set props("Enabled") = 1',
+        '    Set props("Password") = "<<PASSWORD FOR alice>>"',
+        '    Do Apply("Security.Users", "alice", .props, 1)'
+    ].join('\n')));
+    assert.ok(script.includes('    Set props("Description") = "Line one"_$CHAR(13,10)_"Line two"'));
+    assert.ok(script.includes('    Do Apply("Security.Applications", "/csp/app", .props, 0)'));
+});
+
+test('generateRemediationScript: extra entities are listed, never deleted', () => {
+    const script = generateRemediationScript(compare(SAVED, CURRENT));
+
+    assert.match(script, /; Extra on the target, left in place: bob$/m);
+    assert.doesNotMatch(script, /Delete/);
+});
+
+test('generateRemediationScript: Apply creates users disabled and stops when Create fails', () => {
+    const script = generateRemediationScript(compare(SAVED, CURRENT));
+    const apply = script.slice(script.indexOf('\nApply('), script.indexOf('\nApplyTask('));
+
+    assert.match(apply, /##class\(Security\.Users\)\.Create\(name, "", .+GenCryptRand\(24\)\), "", "", "", "", 1, 0\)/);
+    const create = apply.indexOf('If $SYSTEM.Status.IsError(sc)');
+    assert.ok(create > 0 && create < apply.indexOf('"Modify"'), 'Create is checked before Modify runs');
+});
+
+test('generateRemediationScript: nothing to fix', () => {
+    const script = generateRemediationScript(compare(SAVED, SAVED));
+
+    assert.match(script, /; No differences this script can fix\./);
+    assert.doesNotMatch(script, /^ {4}Do (Users|WebApplications)$/m);
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for core/reportExport.js. Run with `node --test` from the
+ * repository root.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compare } from '../src/core/compare.js';
+import { reportToCsv, collectDifferenceRows } from '../src/core/reportExport.js';
+
+function webAppReport(savedApps, currentApps) {
+    return compare({ webApplications: savedApps }, { webApplications: currentApps });
+}
+
+test('reportToCsv: one row per difference after the header metadata', () => {
+    const report = webAppReport(
+        [{ id: '/csp/app', enabled: 1, description: 'Main' }, { id: '/csp/old', enabled: 1 }],
+        [{ id: '/csp/app', enabled: 0, description: 'Main' }, { id: '/csp/new', enabled: 1 }]
+    );
+
+    const rows = collectDifferenceRows(report);
+    assert.deepEqual(rows.map(row => `${row.kind}:${row.entity}:${row.property}`).sort(), [
+        'changed:/csp/app:enabled',
+        'extra:/csp/new:',
+        'missing:/csp/old:'
+    ]);
+
+    const lines = reportToCsv(report).split('\r\n');
+    const header = lines.indexOf('Section,Parent,Entity,Kind,Severity,Property,Saved Value,Current Value');
+    assert.ok(header > 0);
+    assert.equal(lines.length - header - 1, 3);
+});
+
+test('reportToCsv: values that would run as spreadsheet formulas are kept as text', () => {
+    const report = webAppReport(
+        [{ id: '/csp/app', description: '=HYPERLINK("http://example.com","x")', dispatchClass: '@SUM(A1)' }],
+        [{ id: '/csp/app', description: '+1+2', dispatchClass: '-A1' }]
+    );
+
+    const csv = reportToCsv(report);
+    assert.match(csv, /,"'=HYPERLINK\(""http:\/\/example.com"",""x""\)",'\+1\+2\r?$/m);
+    assert.match(csv, /,'@SUM\(A1\),'-A1\r?$/m);
+    assert.doesNotMatch(csv, /(^|,)[=+@]/m);
+});
+
+test('reportToCsv: plain numbers are not prefixed', () => {
+    const report = webAppReport([{ id: '/csp/app', timeout: -5 }], [{ id: '/csp/app', timeout: '+7' }]);
+
+    assert.match(reportToCsv(report), /,-5,\+7\r?$/m);
+});
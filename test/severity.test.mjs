@@ -0,0 +1,107 @@
+/**
+ * Tests for core/severity.js. Run with `node --test` from the
+ * repository root.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    addSeverityCounts,
+    classifySection,
+    emptySeverityCounts,
+    highestSeverity,
+    riskScore,
+    severityOf,
+    severityRank
+} from '../src/core/severity.js';
+import { compare } from '../src/core/compare.js';
+import { entityCompare } from '../src/core/strategies/entityCompare.js';
+
+const CONFIG = {
+    key: 'things',
+    severity: { missing: 'critical', extra: 'info', changed: 'medium', properties: { enabled: 'high' } }
+};
+
+test('severityOf: per-property levels, then the kind, then low', () => {
+    assert.equal(severityOf(CONFIG, 'changed', 'enabled'), 'high');
+    assert.equal(severityOf(CONFIG, 'changed', 'description'), 'medium');
+    assert.equal(severityOf(CONFIG, 'missing', 'enabled'), 'critical', 'property levels only apply to changes');
+    assert.equal(severityOf({ key: 'plain' }, 'extra'), 'low');
+    assert.equal(severityOf(null, 'changed', 'enabled'), 'low');
+});
+
+test('classifySection: tags entity differences and counts one per entity', () => {
+    const section = {
+        strategy: 'entity',
+        ...entityCompare(
+            [{ id: 'a', enabled: 1, description: 'x' }, { id: 'b', description: 'x' }, { id: 'gone' }],
+            [{ id: 'a', enabled: 0, description: 'y' }, { id: 'b', description: 'y' }, { id: 'new' }],
+            'id', new Set(), {}
+        )
+    };
+
+    const counts = classifySection(CONFIG, section);
+
+    assert.deepEqual(counts, { critical: 1, high: 1, medium: 1, low: 0, info: 1 });
+    assert.equal(section.missing[0].severity, 'critical');
+    assert.equal(section.extra[0].severity, 'info');
+
+    const a = section.matched.find(match => match.id === 'a');
+    assert.equal(a.severity, 'high', 'the worst property difference');
+    assert.deepEqual(a.differences.map(diff => `${diff.property}:${diff.severity}`).sort(),
+        ['description:medium', 'enabled:high']);
+});
+
+test('classifySection: context differences are info and do not count', () => {
+    const section = {
+        strategy: 'entity',
+        missing: [],
+        extra: [],
+        matched: [{ id: 'a', differences: [{ property: 'enabled', saved: 1, current: 1, context: true }] }]
+    };
+
+    assert.deepEqual(classifySection(CONFIG, section), emptySeverityCounts());
+    assert.equal(section.matched[0].differences[0].severity, 'info');
+    assert.equal(section.matched[0].severity, undefined);
+});
+
+test('classifySection: flat items are counted by kind', () => {
+    const counts = classifySection(CONFIG, { strategy: 'flat', missing: ['x', 'y'], extra: ['z'] });
+
+    assert.deepEqual(counts, { critical: 2, high: 0, medium: 0, low: 0, info: 1 });
+});
+
+test('highestSeverity and severityRank: most severe first', () => {
+    assert.equal(highestSeverity(['low', 'high', 'info']), 'high');
+    assert.equal(highestSeverity({ critical: 0, high: 0, medium: 2, low: 5, info: 0 }), 'medium');
+    assert.equal(highestSeverity([]), null);
+    assert.equal(highestSeverity(emptySeverityCounts()), null);
+
+    assert.ok(severityRank('critical') < severityRank('info'));
+    assert.equal(severityRank(null), 5);
+});
+
+test('riskScore: weighted sum, info weighs nothing', () => {
+    assert.equal(riskScore({ critical: 1, high: 1, medium: 1, low: 1, info: 100 }), 25 + 10 + 4 + 1);
+    assert.equal(riskScore(emptySeverityCounts()), 0);
+    assert.equal(riskScore({ low: 3 }), 3);
+    assert.equal(riskScore(undefined), 0);
+
+    const total = addSeverityCounts(emptySeverityCounts(), { high: 2 });
+    addSeverityCounts(total, { high: 1, low: 4 });
+    assert.equal(riskScore(total), 3 * 10 + 4);
+});
+
+test('compare: ignored differences do not add to the risk score', () => {
+    const saved = { webApplications: [{ id: '/csp/app', enabled: 1 }, { id: '/csp/old' }] };
+    const current = { webApplications: [{ id: '/csp/app', enabled: 0 }] };
+
+    const plain = compare(saved, current);
+    const ignored = compare(saved, current, { ignoreRules: [{ section: '*', entity: '*' }] });
+
+    assert.ok(plain.riskScore > 0);
+    assert.equal(plain.severity, highestSeverity(plain.severityCounts));
+    assert.equal(ignored.riskScore, 0);
+    assert.equal(ignored.severity, null);
+});